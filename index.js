@@ -1,3 +1,13 @@
 export * from "./lib/CHANNEL.js";
 export * from "./lib/listenAndConnectionAndPingPong$.js";
-export * from "./lib/connectAndPingPong$.js";
\ No newline at end of file
+export * from "./lib/connectAndPingPong$.js";
+export * from "./lib/createPingPong.js";
+export * from "./lib/healthState.js";
+export * from "./lib/createPingPongPool.js";
+export * from "./lib/monitorPaths.js";
+export { FAILURE_POLICY } from "./lib/plexPingPong.js";
+export * from "./lib/wire.js";
+export { createMetricsCollector } from "./lib/createMetricsCollector.js";
+export * from "./lib/createHeartbeatHistory.js";
+export * from "./lib/replayHeartbeatHistory.js";
+export * from "./lib/PingPongError.js";
@@ -0,0 +1,66 @@
+/**
+ * Why a ping-pong connection ended.
+ *
+ * - `HEARTBEAT_TIMEOUT`: the initiator received no pong within the tolerated heartbeat windows.
+ * - `INITIATOR_SILENT`: the listener received no ping within the tolerated heartbeat windows.
+ * - `CONNECT_TIMEOUT`: the ping-pong channel could not be opened within `connectionTimeout`, with `reconnectAttemptCount`
+ *   set to 0, or the peer did not join within `awaitPeer`. With retries, it is the `cause` of `RETRIES_EXHAUSTED`.
+ * - `STREAM_CLOSED`: the ping-pong channel was closed or errored underneath the ping-pong, or could not be opened.
+ * - `PLEX_CLOSED`: the plex itself was closed.
+ * - `RETRIES_EXHAUSTED`: every reconnect or re-establishment attempt failed; `cause` holds the last failure.
+ * - `LOCAL_UNSUBSCRIBE`: the ping-pong was torn down on purpose by unsubscribing.
+ * - `PEER_BYE`: the peer said goodbye because it was torn down on purpose.
+ * - `NOT_CONNECTED`: `probe()` was called while no ping-pong channel was open.
+ * - `NOT_PINGING`: `probe()` was called on a side that does not send pings, a listener outside symmetric mode.
+ * - `INCOMPATIBLE_PEER`: the handshake showed that the peer does not speak a heartbeat protocol this side can use.
+ * - `SOURCE_ERROR`: the `activity$` or `pingTick$` observable passed in the configuration errored; `cause` holds its error.
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const ERROR_CODE = Object.freeze({
+    HEARTBEAT_TIMEOUT: 'HEARTBEAT_TIMEOUT',
+    INITIATOR_SILENT: 'INITIATOR_SILENT',
+    CONNECT_TIMEOUT: 'CONNECT_TIMEOUT',
+    STREAM_CLOSED: 'STREAM_CLOSED',
+    PLEX_CLOSED: 'PLEX_CLOSED',
+    RETRIES_EXHAUSTED: 'RETRIES_EXHAUSTED',
+    LOCAL_UNSUBSCRIBE: 'LOCAL_UNSUBSCRIBE',
+    PEER_BYE: 'PEER_BYE',
+    NOT_CONNECTED: 'NOT_CONNECTED',
+    NOT_PINGING: 'NOT_PINGING',
+    INCOMPATIBLE_PEER: 'INCOMPATIBLE_PEER',
+    SOURCE_ERROR: 'SOURCE_ERROR'
+});
+
+/**
+ * The error every ping-pong failure is reported with. Its `code` tells failures apart without matching messages.
+ *
+ * @example
+ * connectAndPingPong$(plex).subscribe({
+ *     error: (error) => {
+ *         if (error instanceof PingPongError && error.code === ERROR_CODE.HEARTBEAT_TIMEOUT) {
+ *             console.warn(`Peer stopped answering; last RTT was ${error.lastRtt}ms`);
+ *         }
+ *     }
+ * });
+ */
+export class PingPongError extends Error {
+    /**
+     * @param {string} code - One of `ERROR_CODE`.
+     * @param {string} message - Human-readable description.
+     * @param {Object} [details] - Context of the failure.
+     * @param {string} [details.channel] - The ping-pong channel.
+     * @param {number} [details.lastRtt] - The last measured round trip time in milliseconds, if any.
+     * @param {number} [details.attempt=0] - Reconnect or re-establishment attempts made before the failure.
+     * @param {*} [details.cause] - The underlying error.
+     */
+    constructor(code, message, { channel, lastRtt, attempt = 0, cause } = {}) {
+        super(message, cause === undefined ? undefined : { cause });
+        this.name = 'PingPongError';
+        this.code = code;
+        this.channel = channel;
+        this.lastRtt = lastRtt;
+        this.attempt = attempt;
+    }
+}
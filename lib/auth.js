@@ -0,0 +1,72 @@
+import b4a from "b4a";
+
+const NONCE_SIZE = 16;
+
+// Everything a forged or replayed message could tamper with is covered by the MAC or signature, including the
+// versions and wire formats of a hello and the reason of a bye. The session binds a message to the connection
+// it was sent on, so it cannot be replayed into another one.
+const authBytes = ({ type, seq, ts, nonce, rxTs, txTs, payload, reason, version, versions, wire, listenerNonce, activity }, session = '') =>
+    b4a.from(`${session}:${type}:${seq}:${ts}:${nonce}:${rxTs ?? ''}:${txTs ?? ''}:${JSON.stringify(payload ?? null)}:${JSON.stringify([reason, version, versions, wire, listenerNonce, activity])}`);
+
+/**
+ * Creates the authenticator used to sign and verify heartbeats.
+ *
+ * With a shared `secret`, heartbeats are authenticated with HMAC-SHA256 through WebCrypto. For keypair
+ * setups, pass `sign` and `verify` instead: `sign(bytes)` signs with this side's secret key and
+ * `verify(bytes, signature)` checks a signature against the peer's public key. Both may be async.
+ *
+ * @param {Object} auth - Authentication settings.
+ * @param {string|Uint8Array} [auth.secret] - Shared secret for HMAC-SHA256.
+ * @param {function(Uint8Array): (Uint8Array|Promise<Uint8Array>)} [auth.sign] - Signs bytes with this side's key.
+ * @param {function(Uint8Array, Uint8Array): (boolean|Promise<boolean>)} [auth.verify] - Verifies the peer's signature.
+ * @returns {{
+ *     nonce: function(): string,
+ *     session: function(string, string): string,
+ *     sign: function(Object, string=): Promise<string>,
+ *     verify: function(Object, string=): Promise<boolean>
+ * }}
+ *     `nonce()` returns a fresh random hex nonce. `session(initiatorNonce, listenerNonce)` derives the id of a connection
+ *     from the nonces of its two `hello` messages. `sign(message, session)` returns the hex MAC for a message sent in
+ *     `session`, and `verify(message, session)` checks the message's `mac` field against it. Without a session, as for
+ *     the `hello` messages themselves, the MAC is not bound to a connection.
+ * @throws {Error} If neither a secret nor both `sign` and `verify` are provided.
+ *
+ * @example
+ * const authenticator = createAuthenticator({ secret: 'correct horse battery staple' });
+ * const ping = { type: 'ping', seq: 1, ts: Date.now(), nonce: authenticator.nonce() };
+ * ping.mac = await authenticator.sign(ping, session);
+ * await authenticator.verify(ping, session); // true
+ */
+const createAuthenticator = ({ secret, sign, verify } = {}) => {
+    if (secret !== undefined) {
+        const keyPromise = globalThis.crypto.subtle.importKey(
+            'raw',
+            typeof secret === 'string' ? b4a.from(secret) : secret,
+            { name: 'HMAC', hash: 'SHA-256' },
+            false,
+            ['sign', 'verify']
+        );
+        sign = async (bytes) => new Uint8Array(await globalThis.crypto.subtle.sign('HMAC', await keyPromise, bytes));
+        verify = async (bytes, mac) => globalThis.crypto.subtle.verify('HMAC', await keyPromise, mac, bytes);
+    } else if (typeof sign !== 'function' || typeof verify !== 'function') {
+        throw new Error('Heartbeat authentication requires a secret or both sign and verify functions');
+    }
+
+    return {
+        nonce: () => b4a.toString(globalThis.crypto.getRandomValues(b4a.alloc(NONCE_SIZE)), 'hex'),
+        session: (initiatorNonce, listenerNonce) => `${initiatorNonce}.${listenerNonce}`,
+        sign: async (message, session) => b4a.toString(b4a.from(await sign(authBytes(message, session))), 'hex'),
+        verify: async (message, session) => {
+            if (typeof message.mac !== 'string' || typeof message.nonce !== 'string') {
+                return false;
+            }
+            try {
+                return !!(await verify(authBytes(message, session), b4a.from(message.mac, 'hex')));
+            } catch {
+                return false;
+            }
+        }
+    };
+};
+
+export { createAuthenticator };
@@ -0,0 +1,22 @@
+/**
+ * Computes an exponential backoff delay with jitter. The base delay doubles with every attempt up to
+ * `maxDelay`, then a random share of it (up to `jitter`) is taken off so that many peers failing at
+ * once do not retry in lockstep.
+ *
+ * @param {number} attempt - The 1-based attempt number.
+ * @param {Object} [config] - Configuration for the backoff.
+ * @param {number} [config.initialDelay=1000] - Delay (in milliseconds) before the first attempt.
+ * @param {number} [config.maxDelay=30000] - Upper bound (in milliseconds) for the delay.
+ * @param {number} [config.jitter=0.5] - Fraction of the delay, between 0 and 1, that is randomized.
+ * @returns {number} - The delay in milliseconds.
+ *
+ * @example
+ * backoffDelay(1); // between 500 and 1000
+ * backoffDelay(4); // between 4000 and 8000
+ */
+const backoffDelay = (attempt, { initialDelay = 1000, maxDelay = 30000, jitter = 0.5 } = {}) => {
+    const delay = Math.min(maxDelay, initialDelay * 2 ** (attempt - 1));
+    return delay * (1 - jitter * Math.random());
+};
+
+export { backoffDelay };
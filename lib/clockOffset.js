@@ -0,0 +1,48 @@
+/**
+ * Creates an NTP-style estimator for the offset between the local clock and a peer's clock.
+ *
+ * Each round trip yields four timestamps: `t0` ping sent (local), `t1` ping received (peer), `t2` pong sent
+ * (peer) and `t3` pong received (local). The sample offset is `((t1 - t0) + (t2 - t3)) / 2` and its delay is
+ * `(t3 - t0) - (t2 - t1)`. Like NTP's clock filter, the estimate is the sample with the lowest delay among
+ * the most recent `windowSize`, since queueing delay is what skews a sample. The true offset lies within
+ * `offset ± confidence`, where `confidence` is half that sample's delay.
+ *
+ * @param {Object} [config] - Configuration for the estimator.
+ * @param {number} [config.windowSize=8] - Number of recent samples the filter chooses from.
+ * @returns {{ sample: function({ t0: number, t1: number, t2: number, t3: number }): Object, estimate: function(): Object }}
+ *     `sample(timestamps)` records a round trip and returns the new estimate; `estimate()` returns the current
+ *     `{ offset, confidence, delay, samples }` or `undefined` before the first sample. A positive `offset` means the
+ *     peer's clock is ahead.
+ *
+ * @example
+ * const clock = createClockOffsetEstimator();
+ * clock.sample({ t0: 1000, t1: 1510, t2: 1511, t3: 1021 });
+ * // { offset: 500, confidence: 10, delay: 20, samples: 1 }
+ */
+const createClockOffsetEstimator = ({ windowSize = 8 } = {}) => {
+    const samples = [];
+
+    const estimate = () => {
+        if (!samples.length) {
+            return undefined;
+        }
+
+        const best = samples.reduce((min, sample) => sample.delay < min.delay ? sample : min);
+        return { offset: best.offset, confidence: best.delay / 2, delay: best.delay, samples: samples.length };
+    };
+
+    const sample = ({ t0, t1, t2, t3 }) => {
+        samples.push({
+            offset: ((t1 - t0) + (t2 - t3)) / 2,
+            delay: Math.max(0, (t3 - t0) - (t2 - t1))
+        });
+        if (samples.length > windowSize) {
+            samples.shift();
+        }
+        return estimate();
+    };
+
+    return { sample, estimate };
+};
+
+export { createClockOffsetEstimator };
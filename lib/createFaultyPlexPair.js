@@ -0,0 +1,178 @@
+import { Duplex } from "streamx";
+import { asyncScheduler } from 'rxjs';
+import { createPlex } from "rxprotoplex";
+
+const DIRECTIONS = ['a->b', 'b->a'];
+
+const NO_FAULTS = Object.freeze({
+    latency: 0,
+    jitter: 0,
+    drop: 0,
+    duplicate: 0,
+    reorder: 0,
+    reorderDelay: 100,
+    blocked: false
+});
+
+/**
+ * Creates a pair of connected Plex instances, like `createPlexPair`, whose underlying link can drop, delay,
+ * duplicate and reorder messages or be cut in one or both directions at runtime.
+ *
+ * Faults apply to every message the plexes exchange, including channel setup, so open the channels on a
+ * clean link and inject faults once the ping-pong is running. Messages that are not reordered are delivered
+ * in order, so jitter delays them like a congested TCP link rather than shuffling them.
+ *
+ * @param {Object} [config={}] - Initial faults for both directions, plus:
+ * @param {number} [config.latency=0] - Delay in milliseconds added to every message.
+ * @param {number} [config.jitter=0] - Maximum random delay in milliseconds added on top of `latency`.
+ * @param {number} [config.drop=0] - Probability, between 0 and 1, that a message is lost.
+ * @param {number} [config.duplicate=0] - Probability that a message is delivered twice.
+ * @param {number} [config.reorder=0] - Probability that a message is held back so later messages overtake it.
+ * @param {number} [config.reorderDelay=100] - Extra delay in milliseconds for held-back messages.
+ * @param {SchedulerLike} [config.scheduler=asyncScheduler] - Scheduler used to delay messages.
+ * @param {Object} [config.plexConfig] - Passed to `createPlex` for both plexes.
+ * @returns {{
+ *     plexes: Array<Object>,
+ *     set: function(Object, string=): void,
+ *     partition: function(string): void,
+ *     blackhole: function(): void,
+ *     heal: function(): void,
+ *     reset: function(): void
+ * }}
+ *     - `plexes` holds the two plexes `[a, b]`.
+ *     - `set(faults, direction)` changes faults for `'a->b'`, `'b->a'` or, without a direction, both.
+ *     - `partition(direction)` silently discards everything sent in one direction (or both, without a direction).
+ *     - `blackhole()` discards everything in both directions.
+ *     - `heal()` lifts partitions and blackholes but keeps the other faults; `reset()` removes all faults.
+ *
+ * @example
+ * const link = createFaultyPlexPair();
+ * const [initiatorPlex, listenerPlex] = link.plexes;
+ *
+ * connectAndPingPong$(initiatorPlex).subscribe();
+ * listenAndConnectionAndPingPong$(listenerPlex).subscribe();
+ *
+ * link.set({ latency: 200, jitter: 50, drop: 0.1 });
+ * link.partition('b->a'); // Pings still arrive, pongs are lost
+ * link.heal();
+ */
+const createFaultyPlexPair = (config = {}) => {
+    const { scheduler = asyncScheduler, plexConfig, ...faults } = config;
+
+    const ends = [];
+    const links = {};
+
+    const createEnd = (direction, peer) => new Duplex({
+        write(data, cb) {
+            links[direction].send(data);
+            cb(null);
+        },
+        final(cb) {
+            ends[peer].push(null);
+            cb(null);
+        },
+        predestroy() {
+            links[direction].close();
+            ends[peer].destroy();
+        }
+    });
+
+    ends.push(createEnd('a->b', 1), createEnd('b->a', 0));
+    links['a->b'] = createLink(ends[1], { ...NO_FAULTS, ...faults }, scheduler);
+    links['b->a'] = createLink(ends[0], { ...NO_FAULTS, ...faults }, scheduler);
+
+    const directionsOf = (direction) => {
+        if (direction === undefined) {
+            return DIRECTIONS;
+        }
+        if (!DIRECTIONS.includes(direction)) {
+            throw new Error(`Unknown direction '${direction}'; expected one of ${DIRECTIONS.join(', ')}`);
+        }
+        return [direction];
+    };
+
+    const set = (changes, direction) => {
+        for (const name of directionsOf(direction)) {
+            links[name].set(changes);
+        }
+    };
+
+    return {
+        plexes: ends.map((end) => createPlex(end, plexConfig)),
+        set,
+        partition: (direction) => set({ blocked: true }, direction),
+        blackhole: () => set({ blocked: true }),
+        heal: () => set({ blocked: false }),
+        reset: () => set(NO_FAULTS)
+    };
+};
+
+// One direction of the link: decides the fate of every message and delivers the survivors to `target`.
+const createLink = (target, initialFaults, scheduler) => {
+    let faults = initialFaults;
+    let lastDueAt = -Infinity;
+    let drainAction;
+    const queue = [];
+    const actions = new Set();
+
+    const deliver = (data) => {
+        if (!target.destroyed) {
+            target.push(data);
+        }
+    };
+
+    // In-order messages wait in a queue so that one timer delivers them in sequence.
+    const drain = () => {
+        drainAction = undefined;
+        const now = scheduler.now();
+        while (queue.length && queue[0].dueAt <= now) {
+            deliver(queue.shift().data);
+        }
+        if (queue.length) {
+            drainAction = scheduler.schedule(drain, queue[0].dueAt - now);
+        }
+    };
+
+    const enqueue = (data) => {
+        const now = scheduler.now();
+        const delay = faults.latency + Math.random() * faults.jitter;
+
+        if (Math.random() < faults.reorder) {
+            const action = scheduler.schedule(() => {
+                actions.delete(action);
+                deliver(data);
+            }, delay + faults.reorderDelay);
+            actions.add(action);
+            return;
+        }
+
+        lastDueAt = Math.max(now + delay, lastDueAt);
+        queue.push({ data, dueAt: lastDueAt });
+        if (!drainAction) {
+            drain();
+        }
+    };
+
+    return {
+        set: (changes) => {
+            faults = { ...faults, ...changes };
+        },
+        send: (data) => {
+            if (faults.blocked || Math.random() < faults.drop) {
+                return;
+            }
+            enqueue(data);
+            if (Math.random() < faults.duplicate) {
+                enqueue(data);
+            }
+        },
+        close: () => {
+            queue.length = 0;
+            drainAction?.unsubscribe();
+            actions.forEach((action) => action.unsubscribe());
+            actions.clear();
+        }
+    };
+};
+
+export { createFaultyPlexPair };
@@ -0,0 +1,94 @@
+const SETTINGS = ['connected', 'negotiated'];
+
+/**
+ * Creates a bounded ring buffer for the heartbeat history of one ping-pong, for postmortems. Once `size` entries
+ * are held, every new entry evicts the oldest one. The latest `connected` and `negotiated` entries hold the settings
+ * a trace is replayed with, so they are kept even once evicted: they are then listed first, marked `restored: true`.
+ *
+ * The ping-pong functions create one when the `history` option is set and expose it as the `history` property of
+ * the returned observable. It stays readable after the connection has ended. Every entry has the `type` of what
+ * happened and the time `at` which it happened, plus:
+ *
+ * - `connected`: the heartbeat timers started, with the `role`, the `expected` proof of life (`'pong'` or `'ping'`),
+ *   the `interval`, `pauseTimeout`, `missedPongThreshold`, `degradedAfter` and `wire` in effect.
+ * - `negotiated`: the hello handshake settled the `wire` format, and with it the `expected` proof of life.
+ * - `ping`: a ping was sent, or received (`received: true`), with its `seq`.
+ * - `pong`: a pong was received, with its `seq`, the `sentAt` time of its ping, the `rtt` and whether it was `late`.
+ * - `missed`: a heartbeat window passed without proof of life, with the `missed` count, the `threshold` and
+ *   `congested` when backpressure held it up.
+ * - `activity`: application traffic proved the peer alive.
+ * - `paused` / `resumed`: heartbeats were paused or resumed `by` `'local'`, `'peer'` or a `'clock-jump'`.
+ * - `interval`: the heartbeat `interval` was changed.
+ * - `reconnecting`: a reconnect or re-establishment `attempt` started after a failure with `reason`.
+ * - `disconnect`: the connection ended, with the failure `code` and `message`.
+ *
+ * @param {Object} [config={}] - Configuration for the history.
+ * @param {number} [config.size=1000] - Number of entries kept.
+ * @returns {{
+ *     record: function(Object): void,
+ *     entries: function(): Array<Object>,
+ *     toNDJSON: function(): string,
+ *     clear: function(): void
+ * }}
+ *     - `record(entry)` appends an entry.
+ *     - `entries()` returns the held entries, oldest first, after any restored settings entries.
+ *     - `toNDJSON()` exports them as newline-delimited JSON, one entry per line.
+ *     - `clear()` forgets every entry.
+ *
+ * @example
+ * const events$ = connectAndPingPong$(plex, { history: 500 });
+ * events$.subscribe({
+ *     error: () => fs.writeFileSync('heartbeat-trace.ndjson', events$.history.toNDJSON())
+ * });
+ */
+const createHeartbeatHistory = (config = {}) => {
+    const { size = 1000 } = config;
+    if (!(Number.isInteger(size) && size > 0)) {
+        throw new RangeError(`Expected a positive integer history size, got ${size}`);
+    }
+
+    const buffer = new Array(size);
+    let next = 0;
+    let count = 0;
+    // The latest entry of each settings type, in the order they were recorded.
+    let settings = [];
+
+    const entries = () => {
+        const oldest = count < size ? 0 : next;
+        const held = Array.from({ length: count }, (_, i) => buffer[(oldest + i) % size]);
+        const restored = settings.filter((entry) => !held.includes(entry)).map((entry) => ({ ...entry, restored: true }));
+        return [...restored, ...held];
+    };
+
+    return {
+        record: (entry) => {
+            buffer[next] = entry;
+            next = (next + 1) % size;
+            count = Math.min(count + 1, size);
+            if (SETTINGS.includes(entry.type)) {
+                settings = [...settings.filter(({ type }) => type !== entry.type), entry];
+            }
+        },
+        entries,
+        toNDJSON: () => entries().map((entry) => `${JSON.stringify(entry)}\n`).join(''),
+        clear: () => {
+            buffer.fill(undefined);
+            next = 0;
+            count = 0;
+            settings = [];
+        }
+    };
+};
+
+/**
+ * Parses a heartbeat trace exported with `toNDJSON()`. Blank lines are skipped.
+ *
+ * @param {string} text - Newline-delimited JSON.
+ * @returns {Array<Object>} - The entries, in order.
+ */
+const parseHeartbeatHistory = (text) => text
+    .split('\n')
+    .filter((line) => line.trim() !== '')
+    .map((line) => JSON.parse(line));
+
+export { createHeartbeatHistory, parseHeartbeatHistory };
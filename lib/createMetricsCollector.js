@@ -0,0 +1,220 @@
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+const CONTENT_TYPES = Object.freeze({
+    prometheus: 'text/plain; version=0.0.4; charset=utf-8',
+    openmetrics: 'application/openmetrics-text; version=1.0.0; charset=utf-8'
+});
+
+const COUNTERS = [
+    { key: 'pings', name: 'pings_sent', help: 'Pings sent.' },
+    { key: 'pongs', name: 'pongs_received', help: 'Pongs received.' },
+    { key: 'missed', name: 'missed_heartbeats', help: 'Heartbeat windows that passed without proof of life.' },
+    { key: 'reconnects', name: 'reconnect_attempts', help: 'Attempts to reconnect or re-establish the connection.' }
+];
+
+/**
+ * A recorder that ignores everything, used when no metrics collector is configured.
+ * @type {{ ping: Function, pong: Function, missed: Function, reconnect: Function, disconnect: Function, release: Function }}
+ */
+export const NOOP_RECORDER = Object.freeze({
+    ping: () => {},
+    pong: () => {},
+    missed: () => {},
+    reconnect: () => {},
+    disconnect: () => {},
+    release: () => {}
+});
+
+const emptyCounts = (bounds) => ({
+    pings: 0,
+    pongs: 0,
+    missed: 0,
+    reconnects: 0,
+    disconnects: {},
+    rtt: { buckets: bounds.map(() => 0), sum: 0, count: 0 }
+});
+
+/**
+ * Creates a collector for heartbeat metrics of any number of monitored plexes, rendered in the Prometheus text
+ * format or in OpenMetrics.
+ *
+ * Pass the collector as the `metrics` option of the ping-pong functions or of `createPingPongPool`. Every instance
+ * records into a series labelled with its `channel`, `role` and, when given, `peer`, from when it is subscribed
+ * until it ends. A series is dropped once no running instance records into it, so peers that come and go do not
+ * leave stale series behind:
+ *
+ * - `<prefix>_pings_sent_total`, `<prefix>_pongs_received_total`, `<prefix>_missed_heartbeats_total` and
+ *   `<prefix>_reconnect_attempts_total` counters.
+ * - `<prefix>_disconnects_total`, a counter with an extra `reason` label holding the failure's `code`.
+ * - `<prefix>_rtt_seconds`, a histogram of measured round trip times.
+ *
+ * @param {Object} [config={}] - Configuration for the collector.
+ * @param {string} [config.prefix='pingpong'] - Prefix for every metric name.
+ * @param {number[]} [config.buckets] - Upper bounds in seconds for the RTT histogram buckets. Defaults to
+ *     `[0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5]`.
+ * @returns {{
+ *     register: function(Object): Object,
+ *     collect: function(): Array<Object>,
+ *     render: function(string=): string,
+ *     contentType: function(string=): string,
+ *     handler: function(Object, Object): void,
+ *     reset: function(): void
+ * }}
+ *     - `register(labels)` returns the recorder the ping-pong uses for one series; instances with the same labels share
+ *       it. Its `release()` stops recording and drops the series once every recorder for it has been released.
+ *     - `collect()` returns `{ labels, pings, pongs, missed, reconnects, disconnects, rtt }` per series, for
+ *       registries that take custom collectors.
+ *     - `render(format)` renders every series as `'prometheus'` (default) or `'openmetrics'` text, and
+ *       `contentType(format)` returns the matching `Content-Type`.
+ *     - `handler(req, res)` is a Node HTTP request handler that serves OpenMetrics to clients that accept it and
+ *       the Prometheus text format to everyone else.
+ *     - `reset()` zeroes every series. Running instances keep recording into them.
+ *
+ * @example
+ * const metrics = createMetricsCollector();
+ * connectAndPingPong$(plex, { metrics, peer: 'peer-a' }).subscribe();
+ *
+ * http.createServer(metrics.handler).listen(9464);
+ */
+export const createMetricsCollector = (config = {}) => {
+    const { prefix = 'pingpong', buckets = DEFAULT_BUCKETS } = config;
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const series = new Map();
+    // Number of unreleased recorders per series key.
+    const holders = new Map();
+
+    const register = (labels) => {
+        const normalized = Object.fromEntries(Object.entries(labels)
+            .filter(([, value]) => value !== undefined)
+            .map(([name, value]) => [name, String(value)])
+            .sort(([a], [b]) => a.localeCompare(b)));
+        const key = JSON.stringify(normalized);
+
+        if (!series.has(key)) {
+            series.set(key, { labels: normalized, ...emptyCounts(bounds) });
+        }
+        const entry = series.get(key);
+        holders.set(key, (holders.get(key) || 0) + 1);
+        let released = false;
+
+        // A released recorder ignores whatever its instance still reports while it winds down.
+        const recording = (record) => (...args) => {
+            if (!released) record(...args);
+        };
+
+        return {
+            ping: recording(() => entry.pings++),
+            pong: recording((rtt) => {
+                entry.pongs++;
+                if (typeof rtt !== 'number') {
+                    return;
+                }
+                const seconds = rtt / 1000;
+                bounds.forEach((bound, i) => {
+                    if (seconds <= bound) entry.rtt.buckets[i]++;
+                });
+                entry.rtt.sum += seconds;
+                entry.rtt.count++;
+            }),
+            missed: recording(() => entry.missed++),
+            reconnect: recording(() => entry.reconnects++),
+            disconnect: recording((reason) => {
+                entry.disconnects[reason] = (entry.disconnects[reason] || 0) + 1;
+            }),
+            release: () => {
+                if (released) {
+                    return;
+                }
+                released = true;
+                const remaining = holders.get(key) - 1;
+                if (remaining > 0) {
+                    holders.set(key, remaining);
+                } else {
+                    holders.delete(key);
+                    series.delete(key);
+                }
+            }
+        };
+    };
+
+    // Zeroes the series in place, so that the recorders handed out keep counting into what is rendered.
+    const reset = () => {
+        for (const entry of series.values()) {
+            Object.assign(entry, emptyCounts(bounds));
+        }
+    };
+
+    const collect = () => [...series.values()].map((entry) => ({
+        ...entry,
+        labels: { ...entry.labels },
+        disconnects: { ...entry.disconnects },
+        rtt: { ...entry.rtt, bounds: [...bounds], buckets: [...entry.rtt.buckets] }
+    }));
+
+    const render = (format = 'prometheus') => {
+        const openMetrics = format === 'openmetrics';
+        const entries = [...series.values()];
+        const lines = [];
+
+        const family = (name, type, help) => {
+            // OpenMetrics names a counter family without the `_total` suffix its samples carry.
+            const familyName = type === 'counter' && !openMetrics ? `${prefix}_${name}_total` : `${prefix}_${name}`;
+            lines.push(`# HELP ${familyName} ${help}`);
+            lines.push(`# TYPE ${familyName} ${type}`);
+        };
+
+        for (const { key, name, help } of COUNTERS) {
+            family(name, 'counter', help);
+            for (const entry of entries) {
+                lines.push(`${prefix}_${name}_total${formatLabels(entry.labels)} ${entry[key]}`);
+            }
+        }
+
+        family('disconnects', 'counter', 'Connections lost, by failure code.');
+        for (const entry of entries) {
+            for (const [reason, count] of Object.entries(entry.disconnects)) {
+                lines.push(`${prefix}_disconnects_total${formatLabels({ ...entry.labels, reason })} ${count}`);
+            }
+        }
+
+        family('rtt_seconds', 'histogram', 'Heartbeat round trip time in seconds.');
+        for (const entry of entries) {
+            bounds.forEach((bound, i) => {
+                lines.push(`${prefix}_rtt_seconds_bucket${formatLabels({ ...entry.labels, le: String(bound) })} ${entry.rtt.buckets[i]}`);
+            });
+            lines.push(`${prefix}_rtt_seconds_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.rtt.count}`);
+            lines.push(`${prefix}_rtt_seconds_sum${formatLabels(entry.labels)} ${entry.rtt.sum}`);
+            lines.push(`${prefix}_rtt_seconds_count${formatLabels(entry.labels)} ${entry.rtt.count}`);
+        }
+
+        if (openMetrics) {
+            lines.push('# EOF');
+        }
+        return `${lines.join('\n')}\n`;
+    };
+
+    const contentType = (format = 'prometheus') => CONTENT_TYPES[format] || CONTENT_TYPES.prometheus;
+
+    const handler = (req, res) => {
+        const format = /application\/openmetrics-text/.test(req.headers?.accept || '') ? 'openmetrics' : 'prometheus';
+        res.statusCode = 200;
+        res.setHeader('Content-Type', contentType(format));
+        res.end(render(format));
+    };
+
+    return {
+        register,
+        collect,
+        render,
+        contentType,
+        handler,
+        reset
+    };
+};
+
+const escapeLabelValue = (value) => value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+};
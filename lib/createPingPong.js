@@ -0,0 +1,71 @@
+import { plexPingPong } from "./plexPingPong.js";
+
+const ROLES = ['initiator', 'listener'];
+
+/**
+ * Creates a ping-pong over a Plex connection together with an imperative handle to it, for applications that
+ * need to probe, retune or inspect the connection rather than only observe it.
+ *
+ * Nothing runs until `events$` is subscribed; the handle then acts on the running subscription.
+ *
+ * @param {Object} plex - The Plex instance managing the underlying connection.
+ * @param {Object} [options={}] - Every option of `plexPingPong`, plus:
+ * @param {string} [options.role='initiator'] - `'initiator'` opens the channel and pings, `'listener'` answers.
+ * @returns {{
+ *     events$: Observable<{ type: string, plex: Object }>,
+ *     rtt$: Observable<Object>,
+ *     clockOffset$: Observable<Object>,
+ *     health$: Observable<Object>,
+ *     history: Object,
+ *     probe: function(): Promise<number>,
+ *     setInterval: function(number): void,
+ *     getStats: function(): Object,
+ *     pause: function(): void,
+ *     resume: function(): void,
+ *     close: function(string=): Promise<void>
+ * }}
+ *     - `events$` emits the ping-pong events; `rtt$`, `clockOffset$`, `health$` and, with the `history` option,
+ *       `history` are as on `plexPingPong`.
+ *     - `probe()` sends a ping right away and resolves with its round trip time in milliseconds. It rejects with a
+ *       `PingPongError` coded `NOT_CONNECTED` while the channel is not open, or with the failure that ends the
+ *       connection before the pong arrives. Only a side that pings can probe: the initiator, or either side in symmetric
+ *       mode. Other listeners are rejected with `NOT_PINGING`.
+ *     - `setInterval(ms)` changes the heartbeat window at runtime. The peer watches with its own window, so change both.
+ *     - `getStats()` returns `{ state, interval, rtt, missed, clockOffset, wire, paused, peerPaused, congested, plex }` without
+ *       subscribing; `rtt` holds the rolling statistics. While no connection is live, such as after a failure or between
+ *       re-establishment attempts, it returns only the health `state` and the `interval`.
+ *     - `pause()` and `resume()` suspend and restart heartbeats.
+ *     - `close(reason)` says goodbye with `reason`, completes `events$` and resolves once the peer has been told.
+ *
+ * @example
+ * const pingPong = createPingPong(plex, { interval: 5000 });
+ * pingPong.events$.subscribe();
+ *
+ * const rtt = await pingPong.probe();
+ * pingPong.setInterval(rtt > 500 ? 10000 : 5000);
+ * console.log(pingPong.getStats().rtt.p90);
+ *
+ * await pingPong.close('shutting down');
+ */
+export const createPingPong = (plex, options = {}) => {
+    const { role = 'initiator', ...config } = options;
+    if (!ROLES.includes(role)) {
+        throw new Error(`Unknown role '${role}'; expected one of ${ROLES.join(', ')}`);
+    }
+
+    const events$ = plexPingPong(plex, role === 'initiator', config);
+
+    return {
+        events$,
+        rtt$: events$.rtt$,
+        clockOffset$: events$.clockOffset$,
+        health$: events$.health$,
+        history: events$.history,
+        probe: () => events$.probe(),
+        setInterval: (ms) => events$.setInterval(ms),
+        getStats: () => events$.getStats(),
+        pause: () => events$.pause(),
+        resume: () => events$.resume(),
+        close: (reason) => events$.close(reason)
+    };
+};
@@ -0,0 +1,136 @@
+import { BehaviorSubject, Subject, Subscription, asyncScheduler, interval, share } from 'rxjs';
+import { plexPingPong } from "./plexPingPong.js";
+import { HEALTH } from "./healthState.js";
+
+/**
+ * Creates a supervisor that runs the ping-pong mechanism on many Plex instances at once. All members
+ * configured with the pool's `interval` share a single ping timer, their events are merged into one stream
+ * keyed by peer id, and their health is aggregated into per-state counts.
+ *
+ * Members are cleaned up as soon as their connection ends, so closed plexes never leave subscriptions behind.
+ *
+ * @param {Object} [config={}] - Default ping-pong configuration for every member (see `connectAndPingPong$`).
+ * @param {boolean} [config.removeOnClose=true] - Removes a member from the pool once its connection ends. When
+ *     disabled, ended members stay in the pool as `dead` until `remove` is called.
+ * @returns {{
+ *     add: function(*, Object, Object=): void,
+ *     remove: function(*): boolean,
+ *     has: function(*): boolean,
+ *     peers: function(): Array,
+ *     close: function(): void,
+ *     events$: Observable<{ peerId: *, type: string, plex: Object }>,
+ *     health$: Observable<{ total: number, waitingForPeer: number, connecting: number, healthy: number, degraded: number, slow: number, paused: number, reconnecting: number, dead: number }>
+ * }}
+ *     - `add(peerId, plex, options)` starts monitoring `plex` under `peerId`. `options` override the pool defaults
+ *       and accept `isInitiator` (default `true`) to pick the role. Unless `peer` is overridden, the member logs and
+ *       records metrics with `peerId` as its `peer`.
+ *     - `remove(peerId)` stops monitoring, which tears down the member's ping-pong like unsubscribing would and
+ *       releases its metrics series.
+ *     - `events$` emits every member event with its `peerId`, plus `{ peerId, type: 'closed', plex, error }` when a
+ *       member's connection ends.
+ *     - `health$` replays the current aggregate health counts and emits on every change.
+ *
+ * @example
+ * const pool = createPingPongPool({ interval: 5000 });
+ * pool.events$.subscribe(({ peerId, type }) => console.log(peerId, type));
+ * pool.health$.subscribe(({ healthy, total }) => console.log(`${healthy}/${total} healthy`));
+ *
+ * pool.add('peer-a', plexA);
+ * pool.add('peer-b', plexB, { isInitiator: false });
+ *
+ * // Later
+ * pool.remove('peer-a');
+ * pool.close();
+ */
+const createPingPongPool = (config = {}) => {
+    const { removeOnClose = true, ...defaults } = config;
+    const { interval: _interval = 6000, scheduler = asyncScheduler } = defaults;
+
+    const members = new Map();
+    const eventsSubject = new Subject();
+    const healthSubject = new BehaviorSubject(countHealth(members));
+    const pingTick$ = interval(_interval / 2, scheduler).pipe(share());
+
+    const publishHealth = () => healthSubject.next(countHealth(members));
+
+    const finish = (member, error) => {
+        member.subscription.unsubscribe();
+        member.state = HEALTH.DEAD;
+        eventsSubject.next({ peerId: member.peerId, type: 'closed', plex: member.plex, error });
+        if (removeOnClose && members.get(member.peerId) === member) {
+            members.delete(member.peerId);
+        }
+        publishHealth();
+    };
+
+    const add = (peerId, plex, options = {}) => {
+        if (members.has(peerId)) {
+            throw new Error(`Peer '${peerId}' is already monitored by this pool`);
+        }
+
+        const { isInitiator = true, ...overrides } = options;
+        const memberConfig = { ...defaults, ...overrides };
+        // Members with their own cadence cannot share the pool's timer.
+        if (memberConfig.interval === undefined || memberConfig.interval === _interval) {
+            memberConfig.pingTick$ = pingTick$;
+        }
+
+        memberConfig.peer ??= peerId;
+        const pingPong$ = plexPingPong(plex, isInitiator, memberConfig);
+        const member = { peerId, plex, state: undefined, subscription: new Subscription() };
+        members.set(peerId, member);
+
+        member.subscription.add(pingPong$.health$.subscribe(({ state }) => {
+            member.state = state;
+            publishHealth();
+        }));
+        member.subscription.add(pingPong$.subscribe({
+            next: (event) => eventsSubject.next({ peerId, ...event }),
+            error: (error) => finish(member, error),
+            complete: () => finish(member)
+        }));
+    };
+
+    const remove = (peerId) => {
+        const member = members.get(peerId);
+        if (!member) {
+            return false;
+        }
+
+        members.delete(peerId);
+        member.subscription.unsubscribe();
+        publishHealth();
+        return true;
+    };
+
+    const close = () => {
+        for (const peerId of [...members.keys()]) {
+            remove(peerId);
+        }
+        eventsSubject.complete();
+        healthSubject.complete();
+    };
+
+    return {
+        add,
+        remove,
+        has: (peerId) => members.has(peerId),
+        peers: () => [...members.keys()],
+        close,
+        events$: eventsSubject.asObservable(),
+        health$: healthSubject.asObservable()
+    };
+};
+
+const countHealth = (members) => {
+    const counts = { total: members.size };
+    for (const state of Object.values(HEALTH)) {
+        counts[state] = 0;
+    }
+    for (const { state } of members.values()) {
+        if (state) counts[state]++;
+    }
+    return counts;
+};
+
+export { createPingPongPool };
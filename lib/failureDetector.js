@@ -0,0 +1,36 @@
+/**
+ * Creates the missed-heartbeat accounting used by the ping-pong watchdog. The watchdog reports every
+ * heartbeat window that passes without proof of life through `miss()`, and every proof of life through
+ * `heartbeat()`. The detector decides when the connection is degraded and when it is dead.
+ *
+ * @param {Object} [config] - Configuration for the detector.
+ * @param {number} [config.missedPongThreshold=1] - Consecutive missed heartbeats after which the peer is declared dead.
+ * @param {number} [config.degradedAfter=1] - Consecutive missed heartbeats after which the peer is reported degraded.
+ * @returns {{ heartbeat: function(): void, miss: function(): { missed: number, degraded: boolean, dead: boolean }, missed: function(): number }}
+ *
+ * @example
+ * const detector = createFailureDetector({ missedPongThreshold: 3 });
+ * detector.miss(); // { missed: 1, degraded: true, dead: false }
+ * detector.heartbeat();
+ * detector.missed(); // 0
+ */
+const createFailureDetector = ({ missedPongThreshold = 1, degradedAfter = 1 } = {}) => {
+    let missed = 0;
+
+    return {
+        heartbeat: () => {
+            missed = 0;
+        },
+        miss: () => {
+            missed++;
+            return {
+                missed,
+                degraded: missed >= degradedAfter,
+                dead: missed >= missedPongThreshold
+            };
+        },
+        missed: () => missed
+    };
+};
+
+export { createFailureDetector };
@@ -0,0 +1,60 @@
+/**
+ * The states a monitored connection moves through.
+ *
+ * - `waitingForPeer`: with `awaitPeer`, the peer has not joined the ping-pong channel or completed the handshake yet.
+ * - `connecting`: the ping-pong channel is being opened and no heartbeat has been observed yet.
+ * - `healthy`: heartbeats are arriving on time.
+ * - `degraded`: the peer is still considered alive, but heartbeats have been missed.
+ * - `slow`: the peer is alive, but heartbeats are held up by backpressure or arrive later than the heartbeat window.
+ * - `paused`: heartbeats are suspended on purpose, by this side or by the peer, through `pause()`.
+ * - `reconnecting`: the channel failed and is being re-established; carries the `attempt` number.
+ * - `dead`: the connection has been given up on.
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const HEALTH = Object.freeze({
+    WAITING_FOR_PEER: 'waitingForPeer',
+    CONNECTING: 'connecting',
+    HEALTHY: 'healthy',
+    DEGRADED: 'degraded',
+    SLOW: 'slow',
+    PAUSED: 'paused',
+    RECONNECTING: 'reconnecting',
+    DEAD: 'dead'
+});
+
+/**
+ * Creates a tracker for the health of a single connection. Every transition produces a
+ * `{ state, timestamp, reason, ...details }` record that is handed to `onChange`. Transitions that would
+ * not change anything (same state with the same details) are ignored.
+ *
+ * @param {Function} onChange - Invoked with each new health record.
+ * @param {Object} [options] - Options for the tracker.
+ * @param {function(): number} [options.now=Date.now] - Clock used to timestamp records.
+ * @returns {{ transition: function(string, string, Object=): Object, current: function(): Object }}
+ *     `transition(state, reason, details)` moves to a new state; `current()` returns the latest record.
+ *
+ * @example
+ * const health = createHealthTracker((record) => console.log(record.state, record.reason));
+ * health.transition(HEALTH.CONNECTING, 'Opening channel');
+ * health.transition(HEALTH.DEGRADED, '1 missed pong', { missed: 1 });
+ */
+export const createHealthTracker = (onChange, { now = Date.now } = {}) => {
+    let current;
+
+    const isSame = (state, details) => current && current.state === state &&
+        Object.keys(details).every((key) => current[key] === details[key]);
+
+    const transition = (state, reason, details = {}) => {
+        if (isSame(state, details)) {
+            return current;
+        }
+
+        current = { state, timestamp: now(), reason, ...details };
+        onChange(current);
+        return current;
+    };
+
+    return { transition, current: () => current };
+};
@@ -1,4 +1,4 @@
-import {plexPingPong} from "./plexPingPong.js";
+import {createPingPong} from "./createPingPong.js";
 
 /**
  * Establishes a listening connection on the provided Plex instance and manages a ping-pong
@@ -16,12 +16,57 @@ import {plexPingPong} from "./plexPingPong.js";
  * @param {number} [config.connectionTimeout=1000] - Timeout in milliseconds for detecting an inactive connection.
  * @param {number} [config.retryDelay=1000] - Delay in milliseconds between reconnection attempts.
  * @param {number} [config.reconnectAttemptCount=3] - Maximum number of reconnection attempts allowed before failing.
- * @param {boolean} [config.log=false] - Enables or disables logging of ping-pong events and connection states.
+ * @param {boolean} [config.log=false] - Logs connection and ping-pong events to the console when no `logger` is given.
+ * @param {Object} [config.logger] - A pino or bunyan style logger; entries are structured and bound to the instance's `channel`, `role` and `peer`.
+ * @param {*} [config.peer] - Identifies the remote peer in log entries and metric labels.
+ * @param {Object} [config.metrics] - A collector from `createMetricsCollector` to record heartbeat metrics in.
+ * @param {boolean|number} [config.history=false] - Keeps the last heartbeat events (1000, or this many) for postmortems.
+ * @param {string} [config.byeReason] - Reason sent to the peer in the `bye` message when unsubscribing.
+ * @param {number} [config.byeTimeout=connectionTimeout] - How long teardown waits for the peer to close the channel after saying goodbye.
+ * @param {number} [config.pauseTimeout=interval*10] - How long to wait for a paused peer before each missed heartbeat is counted.
+ * @param {string} [config.mode='asymmetric'] - `'symmetric'` makes both sides ping, measure RTT and detect failures on their own.
+ * @param {boolean|number} [config.awaitPeer=false] - Waits this long (or, with `true`, forever) for a late peer and starts the timers after the handshake.
+ * @param {number} [config.congestionTimeout=interval*5] - How long the stream may stay backpressured before missed heartbeats count again.
+ * @param {number} [config.clockJumpThreshold=interval] - How late a watchdog tick may fire before it is treated as a resume.
  * @param {Function} [config.onPingPongFailure] - Optional handler for managing ping-pong failures, invoked when the connection is deemed unhealthy.
+ *     It receives a `PingPongError` whose `code` is one of `ERROR_CODE`; unsubscribing is not reported.
+ * @param {number} [config.rttWindowSize=100] - Number of recent round trips kept for the rolling latency statistics.
+ * @param {number} [config.missedPongThreshold=1] - Consecutive missed heartbeat windows tolerated before the connection is torn down.
+ * @param {number} [config.degradedAfter=1] - Consecutive missed heartbeats after which the connection is reported as degraded.
+ * @param {boolean} [config.adaptive=false] - Derives the initiator's pong timeout from the measured RTT and its variance.
+ * @param {number} [config.minTimeout=200] - Lower bound in milliseconds for the adaptive pong timeout.
+ * @param {number} [config.maxTimeout=interval/2] - Upper bound in milliseconds for the adaptive pong timeout.
+ * @param {Observable} [config.activity$] - Emits on other application traffic from the peer; counts as proof of life and suppresses pings.
+ * @param {Function} [config.plexFactory] - Returns a fresh Plex (or a promise of one); failed connections are then re-established
+ *     with exponential backoff instead of erroring.
+ * @param {number} [config.reestablishAttempts=Infinity] - Consecutive re-establishment attempts before giving up.
+ * @param {number} [config.backoffInitialDelay=1000] - Delay in milliseconds before the first re-establishment attempt.
+ * @param {number} [config.backoffMaxDelay=30000] - Upper bound in milliseconds for the re-establishment delay.
+ * @param {number} [config.backoffJitter=0.5] - Fraction of each re-establishment delay that is randomized.
+ * @param {boolean} [config.destroyOnFailure=true] - Destroys the whole plex on failure; when disabled only the ping-pong channel is closed.
+ * @param {Function} [config.failurePolicy] - Returns a `FAILURE_POLICY` value per failure, overriding `destroyOnFailure`.
+ * @param {string[]} [config.wireFormats=['binary', 'json']] - Wire formats this side accepts, in order of preference.
+ * @param {Function} [config.getPayload] - Returns a small value to attach to every heartbeat; the peer receives it as `peerPayload`.
+ * @param {Object} [config.auth] - `{ secret }` (HMAC-SHA256) or `{ sign, verify }` (keypair) to authenticate every heartbeat.
+ * @param {number} [config.clockOffsetWindow=8] - Number of recent round trips the clock-offset filter chooses from.
+ * @param {SchedulerLike} [config.scheduler=asyncScheduler] - Scheduler for every timer and timestamp, e.g. a
+ *     `VirtualTimeScheduler` or `TestScheduler` to test timeouts, retries and disconnects in virtual time.
  * @returns {Observable<{ type: string, plex: Object }>} An RxJS Observable that emits:
- *   - `{ type: 'ping', plex }` for sent ping events.
- *   - `{ type: 'pong', plex }` for received pong events.
+ *   - `{ type: 'ping', plex, seq, received }` for sent and received ping events.
+ *   - `{ type: 'pong', plex, seq, rtt, stats, clockOffset, late }` for received pong events.
+ *   - `{ type: 'missed', plex, missed, threshold, congested }` for every heartbeat window without proof of life.
+ *   - `{ type: 'reconnected', plex, attempt }` when the ping-pong resumes on a plex from `plexFactory`.
+ *   - `{ type: 'unverified', plex, seq, message, reason }` when an authenticated heartbeat is rejected.
+ *   - `{ type: 'paused' | 'resumed', plex, by }` when heartbeats are paused or resumed by `'local'`, `'peer'` or a `'clock-jump'`.
+ *   - `{ type: 'peerJoined', plex, wire, version }` with `awaitPeer`, once the peer completed the handshake.
+ *   - `{ type: 'bye', plex, reason }` when the peer unsubscribed on purpose; the observable then completes.
  *   - Errors or completion signals when the connection is lost or closed.
+ *   Its `rtt$` property emits `{ seq, rtt, stats, plex }` for every measured round trip, its `clockOffset$`
+ *   property emits `{ offset, confidence, delay, samples, plex }` whenever the peer clock-offset estimate is
+ *   updated and its `health$` property emits `{ state, timestamp, reason, plex }` on every health transition.
+ *   Its `pause()` and `resume()` methods suspend and restart heartbeats, e.g. while the app is backgrounded.
+ *   With `history`, its `history` property holds the recorded heartbeat history.
+ *   It also carries the `probe()`, `setInterval(ms)`, `getStats()` and `close(reason)` methods of `createPingPong`.
  *
  * @example
  * const listenerEvents$ = listenAndConnectionAndPingPong$(listenerPlex, {
@@ -37,5 +82,5 @@ import {plexPingPong} from "./plexPingPong.js";
  * });
  */
 export const listenAndConnectionAndPingPong$ = (plex, config = {}) => {
-    return plexPingPong(plex, false, config);
+    return createPingPong(plex, { ...config, role: 'listener' }).events$;
 };
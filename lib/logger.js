@@ -0,0 +1,53 @@
+import b4a from "b4a";
+
+const LEVELS = ['trace', 'debug', 'info', 'warn', 'error'];
+
+const noop = () => {};
+
+const silentLogger = Object.freeze(Object.fromEntries(LEVELS.map((level) => [level, noop])));
+
+const createConsoleLogger = (bindings = {}) => {
+    const logger = Object.fromEntries(LEVELS.map((level) => [
+        level,
+        (fields, message) => console[level === 'trace' ? 'debug' : level](message, { ...bindings, ...fields })
+    ]));
+    logger.child = (childBindings) => createConsoleLogger({ ...bindings, ...childBindings });
+    return logger;
+};
+
+/**
+ * Resolves the logger for one ping-pong instance and binds its context to every entry.
+ *
+ * `logger` may be any pino or bunyan style object whose level methods take `(fields, message)`. Its `child`
+ * method is used for the bindings when it has one, and missing levels are ignored. Without a `logger`,
+ * `log: true` logs to the console and anything else disables logging.
+ *
+ * @param {Object} options - Logging options.
+ * @param {Object} [options.logger] - A pino or bunyan style logger.
+ * @param {boolean} [options.log=false] - Logs to the console when no `logger` is given.
+ * @param {Object} [bindings={}] - Fields bound to every entry, such as `channel` and `role`.
+ * @returns {{ trace: Function, debug: Function, info: Function, warn: Function, error: Function }}
+ */
+const resolveLogger = ({ logger, log = false }, bindings = {}) => {
+    if (!logger) {
+        return log ? createConsoleLogger(bindings) : silentLogger;
+    }
+
+    if (typeof logger.child === 'function') {
+        const child = logger.child(bindings);
+        return Object.fromEntries(LEVELS.map((level) => [
+            level,
+            typeof child[level] === 'function' ? child[level].bind(child) : noop
+        ]));
+    }
+
+    return Object.fromEntries(LEVELS.map((level) => [
+        level,
+        typeof logger[level] === 'function' ? (fields, message) => logger[level]({ ...bindings, ...fields }, message) : noop
+    ]));
+};
+
+// Channels may be binary; logs want something readable.
+const channelName = (channel) => typeof channel === 'string' ? channel : b4a.toString(channel);
+
+export { resolveLogger, channelName };
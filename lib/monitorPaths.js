@@ -0,0 +1,228 @@
+import { BehaviorSubject, Subject, Subscription, asyncScheduler, filter, interval, share } from 'rxjs';
+import { plexPingPong } from "./plexPingPong.js";
+import { HEALTH } from "./healthState.js";
+
+// Most alive first: the peer is as healthy as its best path.
+const STATE_ORDER = [HEALTH.HEALTHY, HEALTH.PAUSED, HEALTH.DEGRADED, HEALTH.SLOW, HEALTH.RECONNECTING, HEALTH.CONNECTING, HEALTH.WAITING_FOR_PEER, HEALTH.DEAD];
+
+const USABLE = [HEALTH.HEALTHY, HEALTH.PAUSED, HEALTH.DEGRADED, HEALTH.SLOW];
+
+// Paths whose heartbeats run; a paused path sends none, so it has nothing to lose.
+const BEATING = [HEALTH.HEALTHY, HEALTH.DEGRADED, HEALTH.SLOW];
+
+/**
+ * Runs the ping-pong mechanism on several plexes to the same peer, such as a direct and a relayed connection,
+ * ranks them by round trip time and loss, and tells the application which one to route over.
+ *
+ * Each path is scored as its smoothed RTT plus `lossPenalty` times the fraction of its recent heartbeat windows
+ * (`interval` long) in which it showed no sign of life: no pong, or for a listener that does not ping, no ping. Only paths that are healthy, degraded, slow or paused are ranked. The preferred path only changes to a
+ * better one after it has scored at least `switchMargin` better in `switchAfter` consecutive evaluations, so that
+ * routing does not flap between paths of similar quality. When the preferred path stops being usable, the next best
+ * one takes over immediately.
+ *
+ * The peer only counts as down when every path has failed: `health$` reports the best state among the paths, and
+ * once every path has ended `events$` emits `{ type: 'down' }` and every stream completes.
+ *
+ * @param {Array<Object>} plexes - The Plex instances, one per path. Paths are identified by their index.
+ * @param {Object} [config={}] - Ping-pong configuration for every path (see `connectAndPingPong$`), plus:
+ * @param {boolean} [config.isInitiator=true] - Picks the role on every path. Listeners only measure RTT in
+ *     `symmetric` mode; otherwise their paths are ranked by loss alone.
+ * @param {number} [config.lossWindow=20] - Number of recent heartbeat windows the loss rate is computed over.
+ * @param {number} [config.lossPenalty=interval] - Milliseconds added to the score of a path that loses every window.
+ * @param {number} [config.switchMargin=0.2] - Fraction by which another path must score better than the preferred one.
+ * @param {number} [config.switchAfter=3] - Consecutive evaluations another path must win before it is preferred.
+ * @returns {{
+ *     preferred$: Observable<{ path: number, plex: Object, rtt: number, loss: number, score: number, reason: string } | null>,
+ *     paths$: Observable<Array<{ path: number, plex: Object, state: string, rtt: number, loss: number, score: number }>>,
+ *     health$: Observable<{ state: string, timestamp: number, paths: string[] }>,
+ *     events$: Observable<{ path: number, type: string, plex: Object }>,
+ *     close: function(): void
+ * }}
+ *     - `preferred$` replays the path to route over and emits whenever it changes, with the `reason`: `'initial'`,
+ *       `'failover'` or `'better'`. It emits `null` while no path is usable.
+ *     - `paths$` replays every path with its current `state`, smoothed `rtt`, `loss` rate and `score`, best first,
+ *       and emits on every evaluation.
+ *     - `health$` replays the peer's health, the best `state` among its `paths`, and emits when it changes.
+ *     - `events$` emits every path event with its `path` index, `{ path, type: 'closed', plex, error }` when a
+ *       path's connection ends, and `{ type: 'down' }` once every path has ended.
+ *     - `close()` stops monitoring every path and completes the streams.
+ *
+ * @example
+ * const paths = monitorPaths([directPlex, relayedPlex], { interval: 2000 });
+ *
+ * paths.preferred$.subscribe((preferred) => {
+ *     if (preferred) router.use(preferred.plex);
+ * });
+ * paths.health$.subscribe(({ state }) => state === 'dead' && console.warn('Peer is gone'));
+ */
+const monitorPaths = (plexes, config = {}) => {
+    const {
+        isInitiator = true,
+        lossWindow = 20,
+        lossPenalty,
+        switchMargin = 0.2,
+        switchAfter = 3,
+        ...defaults
+    } = config;
+    const { interval: _interval = 6000, scheduler = asyncScheduler, mode, peer } = defaults;
+    const measuresRtt = isInitiator || mode === 'symmetric';
+    const penalty = lossPenalty ?? _interval;
+
+    const eventsSubject = new Subject();
+    const preferredSubject = new BehaviorSubject(null);
+    const pathsSubject = new BehaviorSubject([]);
+    const subscription = new Subscription();
+    // Paths share one ping timer, so their round trips are measured side by side.
+    const pingTick$ = defaults.pingTick$ ?? interval(_interval / 2, scheduler).pipe(share());
+
+    let preferred;
+    let challenger;
+    let challengerWins = 0;
+    let closed = false;
+
+    const paths = plexes.map((plex, index) => ({
+        index,
+        plex,
+        state: undefined,
+        srtt: undefined,
+        outcomes: [],
+        proved: false,
+        ended: false
+    }));
+
+    const loss = (path) => path.outcomes.length ? path.outcomes.reduce((sum, lost) => sum + lost, 0) / path.outcomes.length : 0;
+
+    const score = (path) => (path.srtt ?? 0) + penalty * loss(path);
+
+    const usable = (path) => !path.ended && USABLE.includes(path.state) && (path.srtt !== undefined || !measuresRtt);
+
+    const describe = (path) => ({ path: path.index, plex: path.plex, state: path.state, rtt: path.srtt, loss: loss(path), score: score(path) });
+
+    const prefer = (path, reason) => {
+        preferred = path;
+        challenger = undefined;
+        challengerWins = 0;
+        preferredSubject.next(path ? { ...describe(path), reason } : null);
+    };
+
+    const evaluate = () => {
+        if (closed) {
+            return;
+        }
+
+        const ranked = paths.filter(usable).sort((a, b) => score(a) - score(b));
+        pathsSubject.next([...ranked, ...paths.filter((path) => !ranked.includes(path))].map(describe));
+
+        const [best] = ranked;
+        if (!best) {
+            if (preferred) prefer(undefined);
+            return;
+        }
+        if (!preferred || !usable(preferred)) {
+            prefer(best, preferred ? 'failover' : 'initial');
+            return;
+        }
+        if (best === preferred || score(best) >= score(preferred) * (1 - switchMargin)) {
+            challenger = undefined;
+            challengerWins = 0;
+            return;
+        }
+
+        challengerWins = best === challenger ? challengerWins + 1 : 1;
+        challenger = best;
+        if (challengerWins >= switchAfter) {
+            prefer(best, 'better');
+        }
+    };
+
+    const peerHealth = () => {
+        const states = paths.map((path) => path.ended ? HEALTH.DEAD : path.state ?? HEALTH.CONNECTING);
+        const state = STATE_ORDER.find((candidate) => states.includes(candidate)) ?? HEALTH.DEAD;
+        return { state, timestamp: scheduler.now(), paths: states };
+    };
+
+    const healthSubject = new BehaviorSubject(peerHealth());
+
+    const publishHealth = () => {
+        const health = peerHealth();
+        if (health.state !== healthSubject.getValue().state) {
+            healthSubject.next(health);
+        }
+    };
+
+    const record = (path, lost) => {
+        path.outcomes.push(lost ? 1 : 0);
+        if (path.outcomes.length > lossWindow) {
+            path.outcomes.shift();
+        }
+    };
+
+    const close = () => {
+        if (closed) {
+            return;
+        }
+        closed = true;
+        subscription.unsubscribe();
+        eventsSubject.complete();
+        preferredSubject.complete();
+        pathsSubject.complete();
+        healthSubject.complete();
+    };
+
+    const finish = (path, error) => {
+        path.ended = true;
+        eventsSubject.next({ path: path.index, type: 'closed', plex: path.plex, error });
+        publishHealth();
+        evaluate();
+
+        if (paths.every(({ ended }) => ended)) {
+            eventsSubject.next({ type: 'down' });
+            close();
+        }
+    };
+
+    // Every other tick of the half-interval ping timer closes a heartbeat window on every path.
+    subscription.add(pingTick$.pipe(filter((_, tick) => tick % 2 === 1)).subscribe(() => {
+        for (const path of paths) {
+            if (path.ended || !BEATING.includes(path.state)) continue;
+            record(path, !path.proved);
+            path.proved = false;
+        }
+        evaluate();
+    }));
+
+    for (const path of paths) {
+        const pathConfig = { ...defaults, pingTick$, peer: `${peer ?? 'path'}#${path.index}` };
+        const pingPong$ = plexPingPong(path.plex, isInitiator, pathConfig);
+
+        subscription.add(pingPong$.health$.subscribe(({ state }) => {
+            path.state = state;
+            publishHealth();
+            evaluate();
+        }));
+        subscription.add(pingPong$.subscribe({
+            next: (event) => {
+                if (event.type === 'pong' && typeof event.rtt === 'number') {
+                    path.srtt = path.srtt === undefined ? event.rtt : 0.875 * path.srtt + 0.125 * event.rtt;
+                    path.proved = true;
+                } else if (event.type === 'ping' && event.received && !measuresRtt) {
+                    path.proved = true;
+                }
+                eventsSubject.next({ path: path.index, ...event });
+                evaluate();
+            },
+            error: (error) => finish(path, error),
+            complete: () => finish(path)
+        }));
+    }
+
+    return {
+        preferred$: preferredSubject.asObservable(),
+        paths$: pathsSubject.asObservable(),
+        health$: healthSubject.asObservable(),
+        events$: eventsSubject.asObservable(),
+        close
+    };
+};
+
+export { monitorPaths };
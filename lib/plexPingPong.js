@@ -1,8 +1,40 @@
-import { Observable, Subject, ReplaySubject, fromEvent, EMPTY, interval, take } from 'rxjs';
-import { takeUntil, filter, tap, finalize, switchMap, catchError, timeout, retry } from 'rxjs/operators';
+import { Observable, Subject, ReplaySubject, BehaviorSubject, NEVER, asyncScheduler, defer, from, fromEvent, interval, of, race, take, throwError, timer } from 'rxjs';
+import { takeUntil, filter, map, tap, finalize, switchMap, concatMap, timeout, retry, catchError, startWith, distinctUntilChanged, skip } from 'rxjs/operators';
 import { CHANNEL } from "./CHANNEL.js";
+import { createRttStats } from "./rttStats.js";
+import { HEALTH, createHealthTracker } from "./healthState.js";
+import { createFailureDetector } from "./failureDetector.js";
+import { createRtoEstimator } from "./rtoEstimator.js";
+import { backoffDelay } from "./backoff.js";
+import b4a from "b4a";
+import { WIRE_VERSION, MAX_PAYLOAD_SIZE, encodeMessage, decodeMessage } from "./wire.js";
+import { createAuthenticator } from "./auth.js";
+import { createClockOffsetEstimator } from "./clockOffset.js";
+import { resolveLogger, channelName } from "./logger.js";
+import { NOOP_RECORDER } from "./createMetricsCollector.js";
+import { createHeartbeatHistory } from "./createHeartbeatHistory.js";
+import { PingPongError, ERROR_CODE } from "./PingPongError.js";
 import {connect$, destroy, listenAndConnection$, withEncoding} from "rxprotoplex";
 
+/**
+ * What to do with the plex when its ping-pong fails.
+ *
+ * - `destroy-plex`: destroy the plex and every channel on it (the default).
+ * - `close-channel`: close only the ping-pong channel and leave the plex to the application.
+ *
+ * @readonly
+ * @enum {string}
+ */
+const FAILURE_POLICY = Object.freeze({
+    DESTROY_PLEX: 'destroy-plex',
+    CLOSE_CHANNEL: 'close-channel'
+});
+
+// Failures that a fresh plex cannot cure, so re-establishing would only loop.
+const PERMANENT_FAILURES = [ERROR_CODE.INCOMPATIBLE_PEER, ERROR_CODE.SOURCE_ERROR];
+
+const withPeerPayload = (event, msg) => msg.payload === undefined ? event : { ...event, peerPayload: msg.payload };
+
 /**
  * Manages a ping-pong mechanism over a Plex connection to maintain connectivity.
  * It supports error handling, reconnection logic, and customizable behavior.
@@ -11,18 +43,127 @@ import {connect$, destroy, listenAndConnection$, withEncoding} from "rxprotoplex
  * @param {boolean} isInitiator - Specifies whether this instance initiates the connection.
  * @param {Object} [config] - Configuration options for the ping-pong mechanism.
  * @param {string | Uint8Array | Buffer} [config.channel=CHANNEL] - The communication channel used for messages.
- * @param {number} [config.interval=6000] - Interval (in milliseconds) between ping-pong messages.
+ * @param {number} [config.interval=6000] - Heartbeat window (in milliseconds). The initiator pings every half window;
+ *     the initiator fails when no pong arrives within a window, the listener when no ping does.
  * @param {number} [config.connectionTimeout=1000] - Timeout (in milliseconds) for initial connection setup.
  * @param {number} [config.retryDelay=1000] - Delay (in milliseconds) between reconnection attempts.
  * @param {number} [config.reconnectAttemptCount=3] - Maximum number of reconnection attempts before giving up.
- * @param {boolean} [config.log=false] - Enables logging of connection and ping-pong events.
+ * @param {boolean} [config.log=false] - Logs connection and ping-pong events to the console when no `logger` is given.
+ * @param {Object} [config.logger] - A pino or bunyan style logger. Entries are structured (`seq`, `rtt`, `attempt`, `err`, ...)
+ *     and bound to a child with this instance's `channel`, `role` and `peer`.
+ * @param {*} [config.peer] - Identifies the remote peer in log entries and metric labels.
+ * @param {Object} [config.metrics] - A collector from `createMetricsCollector` that records this instance's pings,
+ *     pongs, RTTs, missed beats, reconnect attempts and disconnect reasons while it is subscribed.
+ * @param {boolean|number} [config.history=false] - Keeps the last heartbeat events (1000 with `true`, or this many) in a
+ *     ring buffer exposed as the `history` property, for postmortems; see `createHeartbeatHistory`.
  * @param {Function} [config.onPingPongFailure] - Optional custom handler for ping-pong failures.
  *     If provided, errors will not propagate to the observable.
- *     The handler receives an `Error` object as its argument.
+ *     The handler receives a `PingPongError` and `{ plex, plexDestroyed }` as its arguments. The error's `code` (see
+ *     `ERROR_CODE`) tells failures apart, and it carries the `lastRtt` and reconnect `attempt` count. Unsubscribing is
+ *     not a failure and is never reported.
+ * @param {number} [config.rttWindowSize=100] - Number of recent round trips kept for the rolling latency statistics.
+ * @param {number} [config.missedPongThreshold=1] - Number of consecutive heartbeat windows that may pass without a pong
+ *     (initiator) or ping (listener) before the connection is declared dead. Each missed window emits a `missed` event.
+ *     Windows held up by this side's own backpressure do not count at any threshold, but a pong held up on the peer's
+ *     side can only arrive `late`, and the peer be reported `slow`, with a threshold of 2 or more: with 1, the first
+ *     window without a pong is already fatal.
+ * @param {number} [config.degradedAfter=1] - Number of consecutive missed heartbeats after which the connection is reported as degraded.
+ * @param {boolean} [config.adaptive=false] - When enabled, the initiator expects each pong within a timeout derived from the
+ *     measured RTT and its variance (as TCP derives its RTO) instead of a fixed `interval` window.
+ * @param {number} [config.minTimeout=200] - Lower bound (in milliseconds) for the adaptive pong timeout.
+ * @param {number} [config.maxTimeout=interval/2] - Upper bound (in milliseconds) for the adaptive pong timeout.
+ * @param {Observable} [config.activity$] - Emits whenever other application traffic from the peer is observed on the plex.
+ *     Each emission counts as proof of life. Pings are skipped while such traffic keeps arriving, but only if the peer
+ *     announced in its `hello` that it counts activity as well, so that its watchdog does not starve. If it errors, the
+ *     ping-pong fails with `SOURCE_ERROR`.
+ * @param {Observable} [config.pingTick$] - Drives the ping cadence instead of its own `interval / 2` timer,
+ *     so that many connections can share a single timer. If it errors, the ping-pong fails with `SOURCE_ERROR`.
+ * @param {Function} [config.plexFactory] - Returns a fresh Plex instance (or a promise of one) to replace a plex that failed.
+ *     When provided, failures no longer error the observable: the ping-pong is re-established on a new plex with exponential
+ *     backoff and continues with a `reconnected` event. `onPingPongFailure` and errors only fire once the attempts run out,
+ *     or right away for failures a new plex cannot cure: `INCOMPATIBLE_PEER` and `SOURCE_ERROR`.
+ * @param {number} [config.reestablishAttempts=Infinity] - Consecutive plex re-establishment attempts before giving up.
+ * @param {number} [config.backoffInitialDelay=1000] - Delay (in milliseconds) before the first re-establishment attempt.
+ * @param {number} [config.backoffMaxDelay=30000] - Upper bound (in milliseconds) for the re-establishment delay.
+ * @param {number} [config.backoffJitter=0.5] - Fraction of each re-establishment delay that is randomized.
+ * @param {boolean} [config.destroyOnFailure=true] - Destroys the whole plex when the ping-pong fails. When disabled,
+ *     only the ping-pong channel is torn down and the failure is reported, leaving the other channels to the application.
+ * @param {Function} [config.failurePolicy] - Decides per failure instead of `destroyOnFailure`. Receives the error and
+ *     `{ plex, channel }` and returns one of `FAILURE_POLICY.DESTROY_PLEX` or `FAILURE_POLICY.CLOSE_CHANNEL`. If it
+ *     throws, the error is logged and `destroyOnFailure` decides.
+ * @param {string[]} [config.wireFormats=['binary', 'json']] - Wire formats this side accepts, in order of preference. The
+ *     initiator offers them in a `hello` message and the listener picks the first one it also accepts. Peers that never
+ *     answer the `hello` keep talking the legacy bare-string protocol.
+ * @param {Function} [config.getPayload] - Returns a small JSON-serializable value (load, queue depth, app version, ...) to attach
+ *     to every ping or pong this side sends. The peer receives it as `peerPayload` on its events. Payloads are dropped
+ *     on the legacy wire format. A payload that cannot be serialized, or whose JSON exceeds `MAX_PAYLOAD_SIZE` (65535
+ *     bytes), is dropped with a warning and the heartbeat is sent without it.
+ * @param {number} [config.clockOffsetWindow=8] - Number of recent round trips the clock-offset filter chooses from.
+ * @param {SchedulerLike} [config.scheduler=asyncScheduler] - Scheduler for every timer and timestamp, e.g. a
+ *     `VirtualTimeScheduler` or `TestScheduler` to test timeouts, retries and disconnects in virtual time.
+ * @param {string} [config.byeReason] - Reason sent to the peer in the `bye` message when unsubscribing.
+ * @param {number} [config.byeTimeout=connectionTimeout] - How long (in milliseconds) teardown waits for the peer to
+ *     close the channel after saying goodbye, before destroying it anyway.
+ * @param {number} [config.pauseTimeout=interval*10] - How long (in milliseconds) to wait for a paused peer before each
+ *     missed heartbeat is counted.
+ * @param {string} [config.mode='asymmetric'] - `'symmetric'` makes both sides ping and answer each other on the same
+ *     channel, so that each side measures its own RTT and judges the peer by the pongs to its own pings. The roles then
+ *     only decide which side opens the channel. The listener starts pinging once the wire format is negotiated.
+ * @param {boolean|number} [config.awaitPeer=false] - Waits for a peer that starts late: the first channel setup waits
+ *     this many milliseconds (or, with `true`, forever) instead of `connectionTimeout`, without retrying or destroying
+ *     the plex, and reports the `waitingForPeer` health state. Once the channel is open, no timer starts until the
+ *     hello handshake has confirmed which heartbeat protocol the peer speaks; a peer that sends no hello within
+ *     `connectionTimeout` is taken to speak the legacy protocol.
+ * @param {number} [config.congestionTimeout=interval*5] - How long (in milliseconds) the ping-pong stream may stay
+ *     backpressured before missed heartbeats count again. Until then pings and pongs are held and coalesced, and the
+ *     peer is reported `slow` rather than dead.
+ * @param {number} [config.clockJumpThreshold=interval] - How late (in milliseconds) a watchdog tick may fire before it is
+ *     taken as suspended timers or a clock jump and treated as a resume rather than a missed heartbeat.
+ * @param {Object} [config.auth] - Authenticates heartbeats so that liveness cannot be spoofed. Pass `{ secret }` for
+ *     HMAC-SHA256 with a shared secret, or `{ sign, verify }` for keypair signatures. Every ping carries a fresh nonce and
+ *     a MAC, and every pong must return a valid MAC over that nonce. The `hello` handshake is signed too, and derives a
+ *     session id from the nonces of both sides that every later MAC covers, so frames cannot be replayed into another
+ *     connection. Within one, pings and control messages must carry a higher sequence number than the last ones
+ *     accepted. Unsigned, forged or replayed
+ *     messages are ignored (so they count as misses) and reported as `unverified` events. Requires a negotiated
+ *     (non-legacy) wire format.
  * @returns {Observable<{ type: string, plex: Object }>} - An observable that emits events:
- *     - `type: 'ping'` when a ping message is sent or received.
- *     - `type: 'pong'` when a pong message is received.
+ *     - `type: 'ping'` when a ping message is sent or received, with its `seq`. Received pings are marked `received: true`
+ *       and carry the peer's `peerPayload`.
+ *     - `type: 'pong'` when a pong message is received, with its `seq`, the measured `rtt` in milliseconds
+ *       and the rolling `stats` (`count`, `last`, `min`, `avg`, `max`, `jitter`, `p50`, `p90`, `p99`).
+ *       In adaptive mode it also carries the current pong `timeout`, and with a peer `getPayload` its `peerPayload`.
+ *       Pongs from peers that report their receive and send times also carry the filtered `clockOffset`. Pongs that
+ *       took longer than the heartbeat window are marked `late: true` and leave the connection `slow` rather than healthy.
+ *     - `type: 'missed'` when a heartbeat window passes without proof of life, with the consecutive
+ *       `missed` count and the `threshold` at which the connection is torn down. Windows that pass while this side's
+ *       stream is backpressured are marked `congested: true` and do not count towards the threshold.
+ *     - `type: 'reconnected'` when the ping-pong resumes on a plex from `plexFactory`, with the new `plex` and the `attempt`.
+ *     - `type: 'unverified'` when an authenticated message is rejected, with its `seq`, the `message` type and a `reason`
+ *       of `'unsigned'`, `'replayed'` (not newer than the last one accepted), `'unmatched'` or `'bad-mac'`.
+ *     - `type: 'paused'` / `type: 'resumed'` when heartbeats are paused or resumed, `by` `'local'` or `'peer'`. A
+ *       `resumed` event `by` `'clock-jump'` carries the `gap` in milliseconds after timers were suspended or the clock jumped.
+ *     - `type: 'peerJoined'` with `awaitPeer`, once the handshake is done and the timers start, with the negotiated
+ *       `wire` format and `version` (`null` for legacy peers).
+ *     - `type: 'bye'` when the peer unsubscribed on purpose, with its `reason`. The observable then completes instead of
+ *       erroring. Unsubscribing sends the same `bye` to peers that speak the negotiated protocol.
  *     - Includes the `plex` object for context.
+ *     The observable also carries an `rtt$` property that emits `{ seq, rtt, stats, plex }` for every
+ *     measured round trip of every active subscription, so latency can be observed without subscribing twice.
+ *     Its `clockOffset$` property emits `{ offset, confidence, delay, samples, plex }` whenever the NTP-style estimate of
+ *     the peer's clock offset is updated: the peer's clock reads `offset` milliseconds ahead, give or take `confidence`.
+ *     Its `health$` property replays the latest `{ state, timestamp, reason, plex }` health record (see `HEALTH`)
+ *     and emits every transition: `waitingForPeer`, `connecting`, `healthy`, `degraded` (with `missed`), `reconnecting`
+ *     (with `attempt`), `paused`, `slow` and `dead`.
+ *     Its `pause()` method suspends heartbeats on every active subscription and asks the peer to relax its
+ *     expectations, for example while the app is backgrounded; `resume()` starts them afresh.
+ *     With `history`, its `history` property holds the heartbeat history, which outlives the connection.
+ *     Its `probe()` method sends a ping right away and resolves with the round trip time in milliseconds, or rejects
+ *     with the failure that ends the connection first; `setInterval(ms)` changes the heartbeat window at runtime,
+ *     together with the defaults derived from it (a custom `pingTick$` is left alone); `getStats()` returns the
+ *     current `{ state, interval, rtt, missed, clockOffset, wire, paused, peerPaused, congested, plex }`, or just
+ *     `{ state, interval }` while no connection is live; and `close(reason)` says goodbye with `reason`, completes the
+ *     observable and resolves once the peer has been told.
  *
  * @example
  * const subscription = plexPingPong(plex, true, {
@@ -47,37 +188,171 @@ const plexPingPong = (plex, isInitiator, config = {}) => {
         retryDelay = 1000,
         reconnectAttemptCount = 3,
         log = false,
-        onPingPongFailure // Custom handler for failures
+        logger: baseLogger,
+        peer,
+        onPingPongFailure, // Custom handler for failures
+        rttWindowSize = 100,
+        missedPongThreshold = 1,
+        degradedAfter = 1,
+        adaptive = false,
+        minTimeout = 200,
+        maxTimeout,
+        activity$,
+        scheduler = asyncScheduler,
+        pingTick$,
+        plexFactory,
+        reestablishAttempts = Infinity,
+        backoffInitialDelay = 1000,
+        backoffMaxDelay = 30000,
+        backoffJitter = 0.5,
+        destroyOnFailure = true,
+        failurePolicy,
+        wireFormats = ['binary', 'json'],
+        getPayload,
+        auth,
+        clockOffsetWindow = 8,
+        byeReason,
+        byeTimeout = connectionTimeout,
+        pauseTimeout,
+        clockJumpThreshold,
+        mode = 'asymmetric',
+        congestionTimeout,
+        awaitPeer = false,
+        history: historySize = false,
+        metrics: collector
     } = config;
 
-    // Helper function for conditional logging
-    const logMessage = (level, message) => {
-        if (log) {
-            switch (level) {
-                case 'info':
-                    console.info(message);
-                    break;
-                case 'warn':
-                    console.warn(message);
-                    break;
-                case 'error':
-                    console.error(message);
-                    break;
-                default:
-                    console.log(message);
-            }
+    if (!['asymmetric', 'symmetric'].includes(mode)) {
+        throw new Error(`Unknown mode '${mode}'; expected 'asymmetric' or 'symmetric'`);
+    }
+    // In symmetric mode both sides ping; the roles then only decide who opens the channel and offers the wire formats.
+    const sendsPings = isInitiator || mode === 'symmetric';
+    const peerWait = awaitPeer === true ? Infinity : awaitPeer;
+
+    const now = () => scheduler.now();
+
+    // `setInterval` can change the heartbeat window at runtime; the defaults derived from it follow along.
+    const intervalSubject = new BehaviorSubject(_interval);
+    const heartbeatInterval = () => intervalSubject.getValue();
+    const pauseWindow = () => pauseTimeout ?? heartbeatInterval() * 10;
+    const jumpThreshold = () => clockJumpThreshold ?? heartbeatInterval();
+    const congestionWindow = () => congestionTimeout ?? heartbeatInterval() * 5;
+    const pingTicks$ = pingTick$ ?? intervalSubject.pipe(
+        distinctUntilChanged(),
+        switchMap((ms) => interval(ms / 2, scheduler))
+    );
+    const authenticator = auth ? createAuthenticator(auth) : undefined;
+
+    // With a plex factory, session failures are handled by re-establishment rather than reported right away.
+    const sessionFailureHandler = plexFactory ? undefined : onPingPongFailure;
+
+    const rttSubject = new Subject();
+    const clockOffsetSubject = new Subject();
+    const healthSubject = new ReplaySubject(1);
+    const pausedSubject = new BehaviorSubject(false);
+    const activeSessions = new Set();
+    let latestSession;
+    let latestHealth;
+    healthSubject.subscribe((record) => { latestHealth = record; });
+
+    const history = historySize ? createHeartbeatHistory(historySize === true ? {} : { size: historySize }) : undefined;
+    const remember = (type, fields) => history?.record({ at: now(), type, ...fields });
+
+    // The metrics series is held while the ping-pong runs and released once it ends, so that finished instances
+    // do not leave stale series behind.
+    let metrics = NOOP_RECORDER;
+    let metricsHolders = 0;
+    const holdMetrics = () => {
+        if (collector && metricsHolders++ === 0) {
+            metrics = collector.register({ channel: channelName(channel), role: isInitiator ? 'initiator' : 'listener', peer });
         }
     };
+    const releaseMetrics = () => {
+        if (collector && --metricsHolders === 0) {
+            metrics.release();
+            metrics = NOOP_RECORDER;
+        }
+    };
+    const logger = resolveLogger({ logger: baseLogger, log }, {
+        channel: channelName(channel),
+        role: isInitiator ? 'initiator' : 'listener',
+        ...(peer !== undefined && { peer })
+    });
 
-    const obs = new Observable((subscriber) => {
+    const session = (plex) => new Observable((subscriber) => {
         const disconnect$ = new Subject();
         let isDisconnected = false;
         const heartbeatSubject = new Subject();
+        const rttStats = createRttStats({ windowSize: rttWindowSize });
+        const clock = createClockOffsetEstimator({ windowSize: clockOffsetWindow });
+        const pendingPings = new Map();
+        // Pings and control messages are numbered on their own; an authenticated one must be newer than the last
+        // one of its kind accepted from the peer on this connection, so that old frames cannot be replayed. Frames
+        // from other connections fail their MAC, which covers the connection's session id.
+        let acceptedSeq;
+        let sessionId;
+        let controlSeq = 0;
+        const health = createHealthTracker((record) => healthSubject.next({ ...record, plex }), { now });
+        let pingSeq = 0;
+        const detector = createFailureDetector({ missedPongThreshold, degradedAfter });
+        const rto = createRtoEstimator({ minTimeout, maxTimeout: Infinity });
+        const pongTimeout = () => Math.min(rto.timeout(), maxTimeout ?? heartbeatInterval() / 2);
+        let lastActivity = -Infinity;
+        let isStreamOpen = false;
+        // Until the hello exchange completes, talk the bare-string protocol every version understands.
+        let wire = 'legacy';
+        // The first message from the peer ends the handshake; later hellos cannot renegotiate the wire format.
+        let handshakeOver = false;
+        let helloNonce;
         let pingSubscription;
+        let reconnectAttempt = 0;
+        let currentStream;
+        let isClosing = false;
+        let localPaused = false;
+        let peerPaused = false;
+        // With `awaitPeer`, the first channel setup waits for the peer, and timers start once its hello is in.
+        let peerJoined = !peerWait;
+        // Whether the peer's watchdog is fed by application traffic too, so that pings may be skipped for it.
+        let peerCountsActivity = false;
+        let handshakeSubscription;
+        let congestedSince;
+        let pingOwed = false;
+        let owedPong;
+        let goodbyeReason = byeReason;
+        let onGoodbye;
+        const probes = [];
+
+        const pingPongError = (code, message, details) => new PingPongError(code, message, {
+            channel: channelName(channel),
+            lastRtt: rttStats.snapshot().last,
+            attempt: reconnectAttempt,
+            ...details
+        });
+
+        // A policy that throws must not keep the plex alive and the subscriber waiting; `destroyOnFailure` decides instead.
+        const choosePolicy = (failure) => {
+            const fallback = destroyOnFailure ? FAILURE_POLICY.DESTROY_PLEX : FAILURE_POLICY.CLOSE_CHANNEL;
+            if (typeof failurePolicy !== 'function') {
+                return fallback;
+            }
+            try {
+                return failurePolicy(failure, { plex, channel });
+            } catch (policyError) {
+                logger.error({ err: policyError, policy: fallback }, 'Error in failurePolicy; falling back to destroyOnFailure');
+                return fallback;
+            }
+        };
 
         const performDisconnect = (error) => {
             if (!isDisconnected) {
                 isDisconnected = true;
+                retire();
+                // Whatever ends the session while we are saying goodbye, we are the ones leaving.
+                const failure = isClosing ? pingPongError(ERROR_CODE.LOCAL_UNSUBSCRIBE, 'Unsubscribed') : error;
+                probes.splice(0).forEach((probe) => probe.reject(failure));
+                if (!plexFactory) {
+                    health.transition(HEALTH.DEAD, failure.message, { code: failure.code });
+                }
                 disconnect$.next();
                 disconnect$.complete();
                 heartbeatSubject.complete();
@@ -86,127 +361,635 @@ const plexPingPong = (plex, isInitiator, config = {}) => {
                     pingSubscription.unsubscribe();
                 }
 
-                logMessage('info', `performDisconnect called for channel '${channel}'.`);
+                logger.debug({}, 'Disconnecting');
+
+                metrics.disconnect(failure.code);
+                remember('disconnect', { code: failure.code, message: failure.message });
+                const policy = choosePolicy(failure);
 
                 // Call destroy on the Plex instance
-                if (!plex.destroyed) {
-                    destroy(plex/*, error || new Error('Ping-Pong failure detected')*/);
+                if (policy === FAILURE_POLICY.CLOSE_CHANNEL) {
+                    logger.info({}, 'Keeping plex alive; only the ping-pong channel was closed');
+                } else if (!plex.destroyed) {
+                    destroy(plex);
+                }
+
+                // Tearing down on purpose is not a failure, and nobody is subscribed to hear about it anyway.
+                if (failure.code === ERROR_CODE.LOCAL_UNSUBSCRIBE) {
+                    return;
                 }
 
-                if (onPingPongFailure && typeof onPingPongFailure === 'function') {
+                // Neither is a peer that left on purpose.
+                if (failure.code === ERROR_CODE.PEER_BYE) {
+                    subscriber.complete();
+                    return;
+                }
+
+                if (sessionFailureHandler && typeof sessionFailureHandler === 'function') {
                     try {
-                        onPingPongFailure(error || new Error('Ping-Pong failure detected'));
+                        sessionFailureHandler(failure, { plex, plexDestroyed: policy !== FAILURE_POLICY.CLOSE_CHANNEL || !!plex.destroyed });
                     } catch (handlerError) {
-                        logMessage('error', `Error in onPingPongFailure handler: ${handlerError.message}`);
+                        logger.error({ err: handlerError }, 'Error in onPingPongFailure handler');
                     }
                 }
 
-                if (!onPingPongFailure) {
-                    logMessage('info', `Emitting error for channel '${channel}': ${error.message}`);
-                    subscriber.error(error || new Error('Ping-Pong failure detected'));
+                if (!sessionFailureHandler) {
+                    logger.info({ err: failure }, 'Emitting error');
+                    subscriber.error(failure);
+                }
+            } else {
+                logger.debug({}, 'Already disconnected');
+            }
+        };
+
+        // A configured source that errors fails the ping-pong, rather than surfacing as an unhandled error that
+        // crashes the process.
+        const sourceFailed = (source) => (err) => {
+            logger.error({ err, source }, 'Configured source errored');
+            performDisconnect(pingPongError(ERROR_CODE.SOURCE_ERROR, `${source} errored on channel '${channel}': ${err?.message}`, { cause: err }));
+        };
+
+        // A side that pings judges the peer by the pongs to its own pings. The symmetric listener starts pinging
+        // once the wire is negotiated, and until then (or with a legacy peer) it goes by the peer's pings.
+        const expectsPongs = () => isInitiator || (sendsPings && wire !== 'legacy');
+
+        const proofOfLife = (reason, slow = false) => {
+            detector.heartbeat();
+            health.transition(localPaused || peerPaused ? HEALTH.PAUSED : slow ? HEALTH.SLOW : HEALTH.HEALTHY, reason);
+            heartbeatSubject.next();
+        };
+
+        const sendControl = (type) => {
+            if (currentStream && !currentStream.destroyed && wire !== 'legacy') {
+                send(currentStream, { type, seq: ++controlSeq, nonce: authenticator?.nonce() });
+            }
+        };
+
+        // Pausing disarms our watchdog and asks the peer to relax its own; resuming starts both afresh.
+        const setLocalPaused = (paused) => {
+            if (paused === localPaused) {
+                return;
+            }
+            localPaused = paused;
+            sendControl(paused ? 'pause' : 'resume');
+            logger.info({}, paused ? 'Paused' : 'Resumed');
+            remember(paused ? 'paused' : 'resumed', { by: 'local' });
+            subscriber.next({ type: paused ? 'paused' : 'resumed', plex, by: 'local' });
+            if (isStreamOpen) {
+                detector.heartbeat();
+                health.transition(localPaused || peerPaused ? HEALTH.PAUSED : HEALTH.HEALTHY, paused ? 'Paused' : 'Resumed');
+                heartbeatSubject.next();
+            }
+        };
+
+        const setPeerPaused = (paused) => {
+            if (paused === peerPaused) {
+                return;
+            }
+            peerPaused = paused;
+            logger.info({}, paused ? 'Peer paused' : 'Peer resumed');
+            remember(paused ? 'paused' : 'resumed', { by: 'peer' });
+            subscriber.next({ type: paused ? 'paused' : 'resumed', plex, by: 'peer' });
+            proofOfLife(paused ? 'Peer paused' : 'Peer resumed');
+        };
+
+        const handlePong = (msg) => {
+            const event = { type: 'pong', plex };
+            const pending = msg.legacy ? undefined : pendingPings.get(msg.seq);
+
+            if (pending) {
+                // Older outstanding pings were either lost or overtaken by this pong.
+                for (const seq of pendingPings.keys()) {
+                    if (seq <= msg.seq) pendingPings.delete(seq);
+                }
+
+                event.seq = msg.seq;
+                event.rtt = msg.receivedAt - pending.sentAt;
+                // Alive, but slower than the heartbeat window allows: a pong stuck behind bulk data, not a dead peer.
+                event.late = event.rtt > heartbeatInterval();
+                event.stats = rttStats.add(event.rtt);
+                if (adaptive) {
+                    rto.sample(event.rtt);
+                    event.timeout = pongTimeout();
+                }
+                rttSubject.next({ seq: event.seq, rtt: event.rtt, stats: event.stats, plex });
+
+                if (typeof msg.rxTs === 'number' && typeof msg.txTs === 'number') {
+                    event.clockOffset = clock.sample({ t0: pending.sentAt, t1: msg.rxTs, t2: msg.txTs, t3: msg.receivedAt });
+                    clockOffsetSubject.next({ ...event.clockOffset, plex });
                 }
+            } else if (msg.legacy) {
+                // A legacy pong cannot be matched to a ping, so it answers all of them.
+                pendingPings.clear();
+            }
+
+            // A probe is answered by its own pong or by any later one that overtook it.
+            if (pending || msg.legacy) {
+                const answered = probes.filter((probe) => msg.legacy || probe.seq <= msg.seq);
+                answered.forEach((probe) => {
+                    probes.splice(probes.indexOf(probe), 1);
+                    probe.resolve(msg.receivedAt - probe.sentAt);
+                });
+            }
+
+            metrics.pong(event.rtt);
+            remember('pong', { seq: event.seq, sentAt: pending?.sentAt, rtt: event.rtt, late: event.late });
+            proofOfLife(event.late ? `Late pong after ${event.rtt}ms` : 'Pong received', event.late);
+            logger.debug({ seq: event.seq, rtt: event.rtt }, 'Received pong');
+            subscriber.next(withPeerPayload(event, msg));
+        };
+
+        const sendPing = (stream) => {
+            const seq = ++pingSeq;
+            const ts = now();
+            const nonce = authenticator?.nonce();
+            pendingPings.set(seq, { sentAt: ts, nonce });
+            send(stream, { type: 'ping', seq, ts, nonce });
+            logger.debug({ seq }, 'Sent ping');
+            metrics.ping();
+            remember('ping', { seq });
+            subscriber.next({ type: 'ping', plex, seq });
+            return { seq, sentAt: ts };
+        };
+
+        // Sends a ping right away, outside the regular cadence, and resolves with the round trip time.
+        const probe = () => new Promise((resolve, reject) => {
+            const stream = currentStream;
+            if (!sendsPings) {
+                reject(pingPongError(ERROR_CODE.NOT_PINGING, `Only the initiator sends pings unless mode is 'symmetric'; the listener cannot probe`));
+            } else if (isDisconnected || !isStreamOpen || !stream || stream.destroyed || (wire === 'legacy' && (authenticator || !isInitiator))) {
+                reject(pingPongError(ERROR_CODE.NOT_CONNECTED, `Ping-pong channel '${channel}' is not open`));
             } else {
-                logMessage('warn', `performDisconnect called again for channel '${channel}' but is already disconnected.`);
+                probes.push({ ...sendPing(stream), resolve, reject });
+            }
+        });
+
+        const stats = () => ({
+            interval: heartbeatInterval(),
+            rtt: rttStats.snapshot(),
+            missed: detector.missed(),
+            clockOffset: clock.estimate(),
+            wire,
+            paused: localPaused,
+            peerPaused,
+            congested: congestedSince !== undefined,
+            plex
+        });
+
+        // Says goodbye with `reason` and completes the observable instead of leaving the subscriber hanging.
+        const close = (reason) => new Promise((resolve) => {
+            goodbyeReason = reason ?? byeReason;
+            onGoodbye = resolve;
+            subscriber.complete();
+        });
+
+        const handle = { probe, stats, close };
+        activeSessions.add(handle);
+        latestSession = handle;
+
+        // A session that has ended no longer reports stats, even while a handled failure keeps it subscribed.
+        const retire = () => {
+            if (latestSession === handle) {
+                latestSession = undefined;
+            }
+        };
+
+        // The payload is serialized up front, before it is signed or framed, so that a bad one only costs the
+        // heartbeat its payload.
+        const withPayload = (message) => {
+            if (typeof getPayload !== 'function') {
+                return message;
+            }
+            let payload;
+            try {
+                payload = getPayload();
+            } catch (error) {
+                logger.error({ err: error }, 'Error in getPayload');
+                return message;
+            }
+            try {
+                const size = b4a.byteLength(JSON.stringify(payload) ?? '');
+                if (size > MAX_PAYLOAD_SIZE) {
+                    throw new RangeError(`Payload is ${size} bytes; the limit is ${MAX_PAYLOAD_SIZE}`);
+                }
+            } catch (error) {
+                logger.warn({ err: error, type: message.type }, 'Dropped heartbeat payload');
+                return message;
+            }
+            return { ...message, payload };
+        };
+
+        const send = (stream, message, format = wire) => {
+            const outgoing = message.type === 'hello' ? message : withPayload(message);
+            if (!authenticator || format === 'legacy') {
+                encodeAndWrite(stream, outgoing, format);
+                return;
+            }
+
+            // Hellos are signed before the session exists; everything else belongs to the current connection.
+            authenticator.sign(outgoing, message.type === 'hello' ? undefined : sessionId).then(
+                (mac) => !stream.destroyed && encodeAndWrite(stream, { ...outgoing, mac }, format),
+                (error) => logger.error({ err: error, type: outgoing.type }, 'Failed to sign heartbeat')
+            );
+        };
+
+        // A message that cannot be encoded, such as a pong echoing a malformed seq, is logged and skipped.
+        const encodeAndWrite = (stream, message, format) => {
+            let data;
+            try {
+                data = encodeMessage(message, format);
+            } catch (error) {
+                logger.warn({ err: error, type: message.type }, 'Could not encode heartbeat; not sent');
+                return;
+            }
+            write(stream, data);
+        };
+
+        // Heartbeats queued behind a full write buffer would only arrive stale, so once the stream pushes back,
+        // pings and pongs are held and coalesced into one of each until it drains.
+        const write = (stream, data) => {
+            if (!stream.write(data) && congestedSince === undefined) {
+                congestedSince = now();
+                logger.debug({}, 'Stream is backpressured; holding heartbeats until it drains');
+                fromEvent(stream, 'drain').pipe(take(1), takeUntil(disconnect$)).subscribe(() => handleDrain(stream));
+            }
+        };
+
+        const handleDrain = (stream) => {
+            logger.debug({ congested: now() - congestedSince }, 'Stream drained');
+            congestedSince = undefined;
+            if (owedPong) {
+                const msg = owedPong;
+                owedPong = undefined;
+                answerPing(stream, msg);
+            }
+            if (pingOwed) {
+                pingOwed = false;
+                if (!localPaused && !stream.destroyed) sendPing(stream);
+            }
+        };
+
+        const answerPing = (stream, msg) => {
+            if (congestedSince !== undefined) {
+                // A pong for the latest ping answers every earlier one as well.
+                owedPong = msg;
+                logger.debug({ seq: msg.seq }, 'Deferred pong: stream is backpressured');
+                return;
+            }
+            // Legacy peers send the bare string and expect the bare string back.
+            send(stream, { type: 'pong', seq: msg.seq, ts: msg.ts, nonce: msg.nonce, rxTs: msg.receivedAt, txTs: now() }, msg.legacy ? 'legacy' : wire);
+        };
+
+        const seqKind = (type) => type === 'ping' ? 'ping' : 'control';
+
+        // Resolves to the message when it is authentic, or to null once the rejection has been reported.
+        const verifyIncoming = async (msg) => {
+            const numbered = msg.type !== 'pong' && msg.type !== 'hello';
+            let reason;
+            if (msg.legacy || typeof msg.nonce !== 'string') {
+                reason = 'unsigned';
+            } else if (numbered && !(Number.isSafeInteger(msg.seq) && msg.seq > acceptedSeq[seqKind(msg.type)])) {
+                reason = 'replayed';
+            } else if (msg.type === 'pong' && pendingPings.get(msg.seq)?.nonce !== msg.nonce) {
+                reason = 'unmatched';
+            } else if (msg.type === 'hello' && isInitiator && msg.nonce !== helloNonce) {
+                // The listener answers our hello with its nonce, so an old answer cannot be replayed.
+                reason = 'unmatched';
+            } else if (!(await authenticator.verify(msg, msg.type === 'hello' ? undefined : sessionId))) {
+                reason = 'bad-mac';
+            }
+
+            if (!reason) {
+                if (numbered) acceptedSeq[seqKind(msg.type)] = msg.seq;
+                return msg;
+            }
+
+            logger.warn({ seq: msg.seq, type: msg.type, reason }, 'Rejected unverified heartbeat');
+            subscriber.next({ type: 'unverified', plex, seq: msg.seq, message: msg.type, reason });
+            return null;
+        };
+
+        const handleHello = (stream, msg) => {
+            peerCountsActivity = msg.activity === true;
+            if (isInitiator) {
+                if (msg.version === WIRE_VERSION && wireFormats.includes(msg.wire)) {
+                    wire = msg.wire;
+                }
+                sessionId = authenticator?.session(helloNonce, msg.listenerNonce);
+                logger.info({ wire }, 'Negotiated wire format');
+                remember('negotiated', { wire, expected: 'pong' });
+                if (localPaused) sendControl('pause');
+                return;
+            }
+
+            const version = Array.isArray(msg.versions) && msg.versions.includes(WIRE_VERSION) ? WIRE_VERSION : null;
+            const offered = Array.isArray(msg.wire) ? msg.wire : [];
+            wire = version ? wireFormats.find((format) => offered.includes(format)) || 'legacy' : 'legacy';
+            const listenerNonce = authenticator?.nonce();
+            send(stream, { type: 'hello', version, wire, nonce: msg.nonce, listenerNonce, activity: !!activity$ }, 'json');
+            sessionId = authenticator?.session(msg.nonce, listenerNonce);
+            logger.info({ wire }, 'Negotiated wire format');
+            // A symmetric listener judges the peer by pongs from here on.
+            remember('negotiated', { wire, expected: expectsPongs() ? 'pong' : 'ping' });
+            if (localPaused) sendControl('pause');
+        };
+
+        const startLiveness = (stream) => {
+            isStreamOpen = true;
+            reconnectAttempt = 0;
+            remember('connected', {
+                role: isInitiator ? 'initiator' : 'listener',
+                expected: expectsPongs() ? 'pong' : 'ping',
+                interval: heartbeatInterval(),
+                pauseTimeout: pauseWindow(),
+                missedPongThreshold,
+                degradedAfter,
+                wire
+            });
+            heartbeatSubject.next();
+            if (sendsPings) {
+                pingSubscription = startPinging(stream);
             }
         };
 
+        // The peer has opened the channel. Its hello tells which heartbeat protocol it speaks; a peer that sends
+        // none within `connectionTimeout` predates the handshake and gets the legacy protocol.
+        const awaitHandshake = (stream) => {
+            logger.debug({}, 'Peer opened the channel; waiting for the handshake');
+            handshakeSubscription = timer(connectionTimeout, scheduler).pipe(
+                takeUntil(disconnect$)
+            ).subscribe(() => completeHandshake(stream));
+        };
+
+        const completeHandshake = (stream) => {
+            if (peerJoined) {
+                return;
+            }
+            peerJoined = true;
+            handshakeSubscription?.unsubscribe();
+
+            if (authenticator && wire === 'legacy') {
+                logger.error({ wire }, 'Peer cannot authenticate heartbeats');
+                performDisconnect(pingPongError(ERROR_CODE.INCOMPATIBLE_PEER, `Peer on channel '${channel}' does not negotiate the wire format authenticated heartbeats need`));
+                return;
+            }
+
+            logger.info({ wire }, 'Peer joined');
+            subscriber.next({ type: 'peerJoined', plex, wire, version: wire === 'legacy' ? null : WIRE_VERSION });
+            startLiveness(stream);
+            proofOfLife('Peer joined');
+        };
 
         const handleStream = (stream) => {
             const data$ = fromEvent(stream, 'data').pipe(
                 takeUntil(disconnect$),
-                filter(data => data === "ping" || data === "pong"),
+                map((data) => {
+                    const msg = decodeMessage(data);
+                    if (msg) msg.receivedAt = now();
+                    return msg;
+                }),
+                filter(Boolean),
+                concatMap((msg) => authenticator ? from(verifyIncoming(msg)) : of(msg)),
+                filter(Boolean),
                 tap((msg) => {
-                    if (msg === 'ping') {
-                        stream.write("pong");
-                        logMessage('info', `Received 'ping' on channel '${channel}'. Responded with 'pong'.`);
-                        subscriber.next({ type: 'ping', plex });
-                    } else if (msg === 'pong') {
-                        heartbeatSubject.next();
-                        logMessage('info', `Received 'pong' on channel '${channel}'. Connection is active.`);
-                        subscriber.next({ type: 'pong', plex });
+                    if (msg.type === 'hello') {
+                        if (handshakeOver) {
+                            logger.warn({ wire }, 'Ignored a hello after the handshake');
+                            return;
+                        }
+                        handshakeOver = true;
+                        handleHello(stream, msg);
+                        completeHandshake(stream);
+                        return;
+                    }
+
+                    // Anything else from the peer means it skipped the handshake.
+                    handshakeOver = true;
+                    completeHandshake(stream);
+                    if (isDisconnected) {
+                        return;
+                    }
+
+                    if (msg.type === 'ping') {
+                        if (!expectsPongs()) proofOfLife('Ping received');
+                        answerPing(stream, msg);
+                        logger.debug({ seq: msg.seq }, 'Received ping; responded with pong');
+                        remember('ping', { seq: msg.seq, received: true });
+                        subscriber.next(withPeerPayload({ type: 'ping', plex, seq: msg.seq, received: true }, msg));
+                    } else if (msg.type === 'pong') {
+                        handlePong(msg);
+                    } else if (msg.type === 'pause' || msg.type === 'resume') {
+                        setPeerPaused(msg.type === 'pause');
+                    } else if (msg.type === 'bye') {
+                        logger.info({ reason: msg.reason }, 'Peer said goodbye');
+                        subscriber.next({ type: 'bye', plex, reason: msg.reason });
+                        performDisconnect(pingPongError(ERROR_CODE.PEER_BYE, `Peer left channel '${channel}'${msg.reason ? `: ${msg.reason}` : ''}`));
                     }
                 }),
-                finalize(() => logMessage('info', `data$ finalized for channel '${channel}'`))
+                finalize(() => logger.trace({}, 'data$ finalized'))
             );
 
+            wire = 'legacy';
+            handshakeOver = false;
+            peerCountsActivity = false;
+            sessionId = undefined;
+            acceptedSeq = { ping: 0, control: 0 };
+            currentStream = stream;
+            congestedSince = undefined;
+            pingOwed = false;
+            owedPong = undefined;
+            if (isInitiator) {
+                helloNonce = authenticator?.nonce();
+                send(stream, { type: 'hello', versions: [WIRE_VERSION], wire: wireFormats, nonce: helloNonce, activity: !!activity$ }, 'json');
+            }
+
+            if (peerJoined) {
+                startLiveness(stream);
+            } else {
+                awaitHandshake(stream);
+            }
+
             return data$.subscribe({
                 error: (err) => {
-                    logMessage('error', `Stream error on channel '${channel}': ${err.message}`);
-                    performDisconnect(err);
+                    logger.error({ err }, 'Stream error');
+                    performDisconnect(pingPongError(ERROR_CODE.STREAM_CLOSED, `Ping-pong channel '${channel}' errored: ${err.message}`, { cause: err }));
                 },
                 complete: () => {
-                    logMessage('warn', `Stream on channel '${channel}' has been completed unexpectedly or closed.`);
-                    performDisconnect(new Error('Stream completed unexpectedly'));
+                    logger.warn({}, 'Stream completed or closed');
+                    performDisconnect(pingPongError(ERROR_CODE.STREAM_CLOSED, `Ping-pong channel '${channel}' closed unexpectedly`));
                 }
             });
         };
 
+        // In adaptive mode the next ping leaves at most half an interval after proof of life and its pong
+        // is expected within the estimated timeout, rather than within the remaining half interval.
+        // While paused the watchdog is disarmed; while the peer is paused it only waits for `pauseTimeout`.
+        const watchdogWindow = () => {
+            if (localPaused) return null;
+            if (peerPaused) return pauseWindow();
+            return expectsPongs() && adaptive ? heartbeatInterval() / 2 + pongTimeout() : heartbeatInterval();
+        };
+
+        // A tick that fires far later than scheduled means our timers were suspended (a backgrounded app, a
+        // sleeping laptop) or the clock jumped. The peer has had no chance to prove itself, so start afresh.
+        const handleClockJump = (gap) => {
+            logger.warn({ gap }, 'Timers were suspended or the clock jumped; treating it as a resume');
+            remember('resumed', { by: 'clock-jump', gap });
+            subscriber.next({ type: 'resumed', plex, by: 'clock-jump', gap });
+            detector.heartbeat();
+            heartbeatSubject.next();
+        };
+
+        // Watchdog for both roles: the initiator is kept alive by pongs, the listener by the initiator's pings.
+        // It is armed once a stream is established so channel setup is governed by `connectionTimeout` alone.
         const heartbeat$ = heartbeatSubject.pipe(
             takeUntil(disconnect$),
-            switchMap(() => EMPTY.pipe(
-                timeout(_interval),
-                catchError((err) => {
-                    logMessage('error', `Connection lost due to missed 'pong' on channel '${channel}'.`);
-                    performDisconnect(err);
-                    return EMPTY;
+            map(watchdogWindow),
+            switchMap((window) => window === null ? NEVER : defer(() => {
+                const armedAt = now();
+                return timer(window, window, scheduler).pipe(map((tick) => now() - (armedAt + window * (tick + 1))));
+            }).pipe(
+                tap((lateness) => {
+                    if (lateness > jumpThreshold()) {
+                        handleClockJump(lateness);
+                        return;
+                    }
+
+                    const expected = expectsPongs() ? 'pong' : 'ping';
+
+                    // Our own heartbeats cannot get out, so the silence says nothing about the peer, up to a point.
+                    if (congestedSince !== undefined && now() - congestedSince < congestionWindow()) {
+                        logger.warn({ expected, congested: now() - congestedSince }, 'Heartbeat held up by backpressure');
+                        remember('missed', { missed: detector.missed(), threshold: missedPongThreshold, congested: true });
+                        subscriber.next({ type: 'missed', plex, missed: detector.missed(), threshold: missedPongThreshold, congested: true });
+                        health.transition(HEALTH.SLOW, `Heartbeats held up by backpressure for ${now() - congestedSince}ms`);
+                        return;
+                    }
+
+                    const { missed, degraded, dead } = detector.miss();
+
+                    logger.warn({ expected, missed, threshold: missedPongThreshold }, 'Missed heartbeat');
+                    metrics.missed();
+                    remember('missed', { missed, threshold: missedPongThreshold });
+                    subscriber.next({ type: 'missed', plex, missed, threshold: missedPongThreshold });
+
+                    if (dead) {
+                        if (expected === 'pong') {
+                            logger.error({ missed }, 'Connection lost: no pong received');
+                            performDisconnect(pingPongError(ERROR_CODE.HEARTBEAT_TIMEOUT, `No 'pong' received on channel '${channel}' in ${missed} consecutive heartbeat windows`));
+                        } else {
+                            logger.error({ missed }, 'Initiator silent: no ping received');
+                            performDisconnect(pingPongError(ERROR_CODE.INITIATOR_SILENT, `Initiator silent: no 'ping' received on channel '${channel}' in ${missed} consecutive heartbeat windows`));
+                        }
+                    } else if (degraded) {
+                        health.transition(HEALTH.DEGRADED, `${missed} missed ${expected}(s)`, { missed });
+                    }
                 })
             )),
-            finalize(() => logMessage('info', `heartbeat$ finalized for channel '${channel}'`))
+            finalize(() => logger.trace({}, 'heartbeat$ finalized'))
         );
 
         const heartbeatSubscription = heartbeat$.subscribe();
 
+        const retryDelayWithHealth = (error, attempt) => {
+            // Waiting for the peer has its own deadline; it is not retried.
+            if (!peerJoined) {
+                return throwError(() => error);
+            }
+            reconnectAttempt = attempt;
+            health.transition(HEALTH.RECONNECTING, error.message, { attempt });
+            metrics.reconnect();
+            remember('reconnecting', { attempt, reason: error.message });
+            logger.warn({ err: error, attempt }, 'Retrying connection');
+            return timer(retryDelay, scheduler);
+        };
+
+        const connectTimeout = (wait) => throwError(() => pingPongError(
+            ERROR_CODE.CONNECT_TIMEOUT,
+            peerJoined ? `Could not open channel '${channel}' within ${wait}ms` : `Peer did not join channel '${channel}' within ${wait}ms`
+        ));
+
+        // Until the peer has joined, channel setup waits up to `awaitPeer` instead of `connectionTimeout`, or forever.
+        const setupTimeout = () => (source) => defer(() => {
+            const wait = peerJoined ? connectionTimeout : peerWait;
+            return Number.isFinite(wait) ? source.pipe(timeout({ each: wait, scheduler, with: () => connectTimeout(wait) })) : source;
+        });
+
+        // Without retries there is nothing to exhaust, so the failure to open the channel is reported as it is.
+        const setupFailure = (error) => {
+            if (peerJoined && reconnectAttemptCount > 0) {
+                return pingPongError(
+                    ERROR_CODE.RETRIES_EXHAUSTED,
+                    `Gave up opening channel '${channel}' after ${reconnectAttemptCount} retries: ${error.message}`,
+                    { cause: error }
+                );
+            }
+            return error instanceof PingPongError
+                ? error
+                : pingPongError(ERROR_CODE.STREAM_CLOSED, `Could not open channel '${channel}': ${error.message}`, { cause: error });
+        };
+
+        const pingOnTick = (stream) => {
+            if (localPaused) {
+                logger.trace({}, 'Skipped ping: paused');
+            } else if (peerCountsActivity && now() - lastActivity < heartbeatInterval() / 2) {
+                logger.debug({}, 'Skipped ping: application traffic proves the peer is alive');
+            } else if (congestedSince !== undefined && !stream.destroyed) {
+                pingOwed = true;
+                logger.debug({}, 'Skipped ping: stream is backpressured');
+            } else if (authenticator && wire === 'legacy' && !stream.destroyed) {
+                logger.debug({}, 'Skipped ping: authenticated pings wait for wire negotiation');
+            } else if (!isInitiator && wire === 'legacy' && !stream.destroyed) {
+                logger.trace({}, 'Skipped ping: the listener pings once the wire is negotiated');
+            } else if (!stream.destroyed) {
+                sendPing(stream);
+            } else {
+                performDisconnect(pingPongError(ERROR_CODE.STREAM_CLOSED, `Ping-pong channel '${channel}' was destroyed`));
+                logger.info({}, 'Stream destroyed; disconnecting');
+            }
+        };
+
+        const startPinging = (stream) => pingTicks$.pipe(
+            takeUntil(disconnect$)
+        ).subscribe({
+            next: () => pingOnTick(stream),
+            error: sourceFailed('pingTick$')
+        });
+
         const initiateConnection = () => {
             return connect$(plex, channel, withEncoding('json')).pipe(
                 takeUntil(disconnect$),
-                timeout(connectionTimeout), // Timeout for initial connection setup
+                setupTimeout(), // Timeout for initial connection setup
                 switchMap((stream) => {
                     const streamSubscription = handleStream(stream);
 
-                    if (isInitiator) {
-                        pingSubscription = interval(_interval / 2).pipe(
-                            takeUntil(disconnect$)
-                        ).subscribe(() => {
-                            if (!stream.destroyed) {
-                                stream.write("ping");
-                                logMessage('info', `Sent 'ping' on channel '${channel}' to maintain connection.`);
-                                subscriber.next({ type: 'ping', plex });
-                            } else {
-                                performDisconnect(new Error('Stream destroyed'));
-                                logMessage('info', `Stream destroyed for channel '${channel}'. Triggering disconnection.`);
-                            }
-                        });
-                    }
-
                     return disconnect$.pipe(
                         tap(() => {
                             if (!stream.destroyed) {
                                 stream.destroy();
-                                logMessage('info', `Stream destroyed for channel '${channel}'.`);
+                                logger.debug({}, 'Stream destroyed');
                             }
                             streamSubscription.unsubscribe();
-                            if (isInitiator && pingSubscription) {
-                                pingSubscription.unsubscribe();
-                            }
+                            pingSubscription?.unsubscribe();
                         }),
                         take(1)
                     );
                 }),
-                retry({ delay: retryDelay, count: reconnectAttemptCount, resetOnSuccess: true }),
-                finalize(() => logMessage('info', `Connection on channel '${channel}' finalized`))
+                retry({ delay: retryDelayWithHealth, count: reconnectAttemptCount, resetOnSuccess: true }),
+                finalize(() => logger.trace({}, 'Connection finalized'))
             ).subscribe({
                 error: (err) => {
-                    logMessage('error', `Connection error on channel '${channel}': ${err.message}`);
-                    performDisconnect(err); // Ensure cleanup on timeout or failure
+                    logger.error({ err }, 'Connection error');
+                    performDisconnect(setupFailure(err)); // Ensure cleanup on timeout or failure
                 },
-                complete: () => logMessage('warn', `Connection on channel '${channel}' has been completed.`)
+                complete: () => logger.warn({}, 'Connection completed')
             });
         };
 
         const listenConnection = () => {
             return listenAndConnection$(plex, channel, withEncoding('json')).pipe(
                 takeUntil(disconnect$),
-                timeout(connectionTimeout), // Timeout for initial connection setup
+                setupTimeout(), // Timeout for initial connection setup
                 switchMap((stream) => {
                     const streamSubscription = handleStream(stream);
 
@@ -214,48 +997,199 @@ const plexPingPong = (plex, isInitiator, config = {}) => {
                         tap(() => {
                             if (!stream.destroyed) {
                                 stream.destroy();
-                                logMessage('info', `Stream destroyed for channel '${channel}'.`);
+                                logger.debug({}, 'Stream destroyed');
                             }
                             streamSubscription.unsubscribe();
+                            pingSubscription?.unsubscribe();
                         }),
                         take(1)
                     );
                 }),
-                retry({ delay: retryDelay, count: reconnectAttemptCount, resetOnSuccess: true }),
-                finalize(() => logMessage('info', `Listener on channel '${channel}' finalized`))
+                retry({ delay: retryDelayWithHealth, count: reconnectAttemptCount, resetOnSuccess: true }),
+                finalize(() => logger.trace({}, 'Listener finalized'))
             ).subscribe({
                 error: (err) => {
-                    logMessage('error', `Listener error on channel '${channel}': ${err.message}`);
-                    performDisconnect(err); // Ensure cleanup on timeout or failure
+                    logger.error({ err }, 'Listener error');
+                    performDisconnect(setupFailure(err)); // Ensure cleanup on timeout or failure
                 },
-                complete: () => logMessage('warn', `Listener on channel '${channel}' has been completed.`)
+                complete: () => logger.warn({}, 'Listener completed')
             });
         };
 
+        if (peerJoined) {
+            health.transition(HEALTH.CONNECTING, `Opening ping-pong channel '${channel}'`);
+        } else {
+            health.transition(HEALTH.WAITING_FOR_PEER, `Waiting for the peer to join channel '${channel}'`);
+        }
+
+        const activitySubscription = activity$?.pipe(takeUntil(disconnect$)).subscribe({
+            next: () => {
+                lastActivity = now();
+                if (isStreamOpen) {
+                    remember('activity');
+                    proofOfLife('Application traffic received');
+                }
+            },
+            error: sourceFailed('activity$')
+        });
+
+        const pausedSubscription = pausedSubject.pipe(distinctUntilChanged()).subscribe(setLocalPaused);
+
+        // A new interval takes effect with a fresh heartbeat window.
+        const intervalSubscription = intervalSubject.pipe(distinctUntilChanged(), skip(1)).subscribe((ms) => {
+            logger.info({ interval: ms }, 'Heartbeat interval changed');
+            remember('interval', { interval: ms });
+            if (isStreamOpen) {
+                heartbeatSubject.next();
+            }
+        });
+
         const plexCloseSubscription = plex.close$.subscribe(() => {
-            logMessage('warn', `>>>>>>>> Plex closes on channel '${channel}'.`);
-            performDisconnect(new Error('Plex connection closed'));
+            logger.warn({}, 'Plex closed');
+            performDisconnect(pingPongError(ERROR_CODE.PLEX_CLOSED, `Plex closed under channel '${channel}'`));
         });
 
         const connectionSubscription = isInitiator ? initiateConnection() : listenConnection();
 
-        heartbeatSubject.next();
+        // Tells a peer that speaks the negotiated protocol that we are leaving on purpose, then waits for it to close
+        // the channel (or for `byeTimeout`) so that the goodbye is not lost when the stream and plex are destroyed.
+        const sayGoodbye = (done) => {
+            const stream = currentStream;
+            if (isDisconnected || !stream || stream.destroyed || wire === 'legacy') {
+                done();
+                return;
+            }
+
+            race(fromEvent(stream, 'close'), timer(byeTimeout, scheduler)).pipe(take(1)).subscribe(done);
+            send(stream, { type: 'bye', seq: ++controlSeq, reason: goodbyeReason, nonce: authenticator?.nonce() });
+            logger.info({ reason: goodbyeReason }, 'Said goodbye');
+        };
 
         return () => {
-            performDisconnect(new Error('Unsubscribed'));
+            isClosing = true;
+            activeSessions.delete(handle);
+            retire();
+            pausedSubscription.unsubscribe();
+            intervalSubscription.unsubscribe();
             plexCloseSubscription.unsubscribe();
-            connectionSubscription.unsubscribe();
+            activitySubscription?.unsubscribe();
             heartbeatSubscription.unsubscribe();
             if (pingSubscription) {
                 pingSubscription.unsubscribe();
             }
-            logMessage('info', `Teardown complete for channel '${channel}'.`);
+
+            sayGoodbye(() => {
+                performDisconnect(pingPongError(ERROR_CODE.LOCAL_UNSUBSCRIBE, 'Unsubscribed'));
+                connectionSubscription.unsubscribe();
+                logger.debug({}, 'Teardown complete');
+                onGoodbye?.();
+            });
         };
+    });
+
+    const reestablish = () => defer(() => {
+        const proofType = sendsPings ? 'pong' : 'ping';
+        let currentPlex = plex;
+        let attempt = 0;
+        let goodbye;
+        const health = createHealthTracker((record) => healthSubject.next({ ...record, plex: currentPlex }), { now });
+
+        return defer(() => attempt === 0
+            ? session(currentPlex)
+            : from(Promise.resolve().then(() => plexFactory())).pipe(
+                switchMap((newPlex) => {
+                    currentPlex = newPlex;
+                    logger.info({ attempt }, 'Re-established plex');
+                    return session(newPlex).pipe(startWith({ type: 'reconnected', plex: newPlex, attempt }));
+                })
+            )
+        ).pipe(
+            tap((event) => {
+                if (event.type === proofType) attempt = 0;
+                if (event.type === 'bye') goodbye = event;
+            }),
+            retry({
+                delay: (error) => {
+                    if (PERMANENT_FAILURES.includes(error.code)) {
+                        logger.error({ err: error }, 'Not re-establishing the connection: the failure is permanent');
+                        health.transition(HEALTH.DEAD, error.message, { code: error.code });
+                        return throwError(() => error);
+                    }
+
+                    attempt++;
+                    if (attempt > reestablishAttempts) {
+                        logger.error({ err: error, attempts: reestablishAttempts }, 'Giving up re-establishing the connection');
+                        const exhausted = new PingPongError(
+                            ERROR_CODE.RETRIES_EXHAUSTED,
+                            `Gave up re-establishing channel '${channel}' after ${reestablishAttempts} attempt(s): ${error.message}`,
+                            { channel: channelName(channel), lastRtt: error.lastRtt, attempt: reestablishAttempts, cause: error }
+                        );
+                        health.transition(HEALTH.DEAD, exhausted.message, { code: exhausted.code });
+                        return throwError(() => exhausted);
+                    }
+
+                    const delay = backoffDelay(attempt, { initialDelay: backoffInitialDelay, maxDelay: backoffMaxDelay, jitter: backoffJitter });
+                    logger.warn({ err: error, attempt, delay: Math.round(delay) }, 'Connection failed; re-establishing');
+                    health.transition(HEALTH.RECONNECTING, error.message, { attempt });
+                    metrics.reconnect();
+                    remember('reconnecting', { attempt, reason: error.message });
+                    return timer(delay, scheduler);
+                }
+            }),
+            catchError((error) => {
+                if (!onPingPongFailure) {
+                    return throwError(() => error);
+                }
+                try {
+                    onPingPongFailure(error);
+                } catch (handlerError) {
+                    logger.error({ err: handlerError }, 'Error in onPingPongFailure handler');
+                }
+                // Same as without a factory: a handled failure neither errors nor completes the observable.
+                return NEVER;
+            }),
+            finalize(() => {
+                if (goodbye) {
+                    health.transition(HEALTH.DEAD, `Peer left${goodbye.reason ? `: ${goodbye.reason}` : ''}`, { code: ERROR_CODE.PEER_BYE });
+                } else if (health.current()?.state !== HEALTH.DEAD) {
+                    health.transition(HEALTH.DEAD, 'Unsubscribed', { code: ERROR_CODE.LOCAL_UNSUBSCRIBE });
+                }
+            })
+        );
+    });
+
+    const obs = defer(() => {
+        holdMetrics();
+        return (plexFactory ? reestablish() : session(plex)).pipe(finalize(releaseMetrics));
     }).pipe(
-        finalize(() => logMessage('info', `Observable completed and disconnected for channel '${channel}'`))
+        finalize(() => logger.debug({}, 'Observable completed and disconnected'))
     );
 
+    obs.rtt$ = rttSubject.asObservable();
+    obs.clockOffset$ = clockOffsetSubject.asObservable();
+    obs.history = history;
+    obs.health$ = healthSubject.asObservable();
+    obs.pause = () => pausedSubject.next(true);
+    obs.resume = () => pausedSubject.next(false);
+    obs.probe = () => {
+        const current = [...activeSessions].pop();
+        return current
+            ? current.probe()
+            : Promise.reject(new PingPongError(ERROR_CODE.NOT_CONNECTED, `Ping-pong on channel '${channelName(channel)}' is not running`, { channel: channelName(channel) }));
+    };
+    obs.setInterval = (ms) => {
+        if (!(typeof ms === 'number' && ms > 0 && Number.isFinite(ms))) {
+            throw new RangeError(`Expected a positive interval in milliseconds, got ${ms}`);
+        }
+        intervalSubject.next(ms);
+    };
+    obs.getStats = () => ({
+        state: latestHealth?.state,
+        ...(latestSession ? latestSession.stats() : { interval: heartbeatInterval() })
+    });
+    obs.close = (reason) => Promise.all([...activeSessions].map((current) => current.close(reason))).then(() => {});
+
     return obs;
 };
 
-export { plexPingPong };
+export { plexPingPong, FAILURE_POLICY };
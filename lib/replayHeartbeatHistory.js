@@ -0,0 +1,159 @@
+import { createFailureDetector } from "./failureDetector.js";
+import { parseHeartbeatHistory } from "./createHeartbeatHistory.js";
+
+/**
+ * Replays a heartbeat trace through the failure detector to show why a link was, or was not, declared dead.
+ *
+ * The replay re-derives every heartbeat window from the recorded timestamps, rather than trusting the recorded
+ * `missed` entries, so the same trace can also be replayed with other settings to see what they would have decided.
+ * The settings default to those recorded in the trace's `connected` entries. The replay models the fixed heartbeat
+ * window: the adaptive timeout and backpressure are not simulated, while pauses, resumes, interval changes and the
+ * expectation settled by the handshake are. As live, a local pause disarms the watchdog, while a peer pause only
+ * stretches the window to `pauseTimeout`. When the history had wrapped, its settings entries come `restored`, and the
+ * windows start with the first entry still held.
+ *
+ * @param {Array<Object>|string} trace - Entries from `history.entries()`, or NDJSON from `history.toNDJSON()`.
+ * @param {Object} [config={}] - Settings that override the recorded ones.
+ * @param {number} [config.interval] - Heartbeat window in milliseconds. Required if the trace has no `connected` entry.
+ * @param {number} [config.pauseTimeout=interval*10] - Window in milliseconds while the peer has paused.
+ * @param {number} [config.missedPongThreshold] - Consecutive missed windows after which the link is dead.
+ * @param {number} [config.degradedAfter] - Consecutive missed windows after which the link is degraded.
+ * @param {string} [config.expected] - What proves the peer alive: `'pong'` (initiator) or `'ping'` (listener).
+ * @returns {{
+ *     dead: boolean,
+ *     deadAt: number,
+ *     lastProofAt: number,
+ *     missed: number,
+ *     disconnect: Object,
+ *     timeline: Array<{ at: number, type: string, state: string, missed: number }>,
+ *     explanation: string
+ * }}
+ *     - `dead` tells whether the failure detector declares the link dead, and `deadAt` when.
+ *     - `lastProofAt` is the time of the last proof of life before that, and `missed` the consecutive missed windows.
+ *     - `disconnect` is the recorded `disconnect` entry, if any, to compare the replay with.
+ *     - `timeline` holds every replayed entry and every derived `missed` window with the resulting `state`.
+ *     - `explanation` sums it up in one sentence.
+ *
+ * @example
+ * const replay = replayHeartbeatHistory(fs.readFileSync('heartbeat-trace.ndjson', 'utf8'));
+ * console.log(replay.explanation);
+ *
+ * // Would tolerating three missed windows have saved the link?
+ * replayHeartbeatHistory(trace, { missedPongThreshold: 3 }).dead;
+ */
+const replayHeartbeatHistory = (trace, config = {}) => {
+    const entries = typeof trace === 'string' ? parseHeartbeatHistory(trace) : [...trace];
+
+    let settings = { missedPongThreshold: 1, degradedAfter: 1, expected: 'pong', ...config };
+    let detector = createFailureDetector(settings);
+    let armedAt = null;
+    let localPaused = false;
+    let peerPaused = false;
+    // Restored settings entries were recorded before the held ones; the windows start with the first held entry.
+    let armAtNext = false;
+    let state = 'connecting';
+    let lastProofAt;
+    let deadAt;
+    let disconnect;
+    const timeline = [];
+
+    const arm = (at) => {
+        if (settings.interval === undefined) {
+            throw new Error('The trace holds no connected entry with the heartbeat interval; pass config.interval');
+        }
+        armedAt = localPaused ? null : at;
+    };
+
+    const window = () => peerPaused ? settings.pauseTimeout ?? settings.interval * 10 : settings.interval;
+
+    // Every window that ran out by `until` without proof of life is a miss.
+    const expireWindows = (until) => {
+        while (armedAt !== null && deadAt === undefined && armedAt + window() <= until) {
+            armedAt += window();
+            const { missed, degraded, dead } = detector.miss();
+            state = dead ? 'dead' : degraded ? 'degraded' : state;
+            timeline.push({ at: armedAt, type: 'missed', state, missed });
+            if (dead) {
+                deadAt = armedAt;
+            }
+        }
+    };
+
+    const paused = () => localPaused || peerPaused;
+
+    const isProof = (entry) => entry.type === 'activity' ||
+        (settings.expected === 'pong' ? entry.type === 'pong' : entry.type === 'ping' && entry.received);
+
+    for (const entry of entries) {
+        if (armAtNext && !entry.restored) {
+            armAtNext = false;
+            arm(entry.at);
+        }
+        expireWindows(entry.at);
+        if (deadAt !== undefined && entry.type !== 'disconnect') {
+            continue;
+        }
+
+        if (entry.type === 'connected') {
+            const { role, interval, pauseTimeout, missedPongThreshold, degradedAfter, expected } = entry;
+            settings = { ...settings, ...definedOnly({ role, interval, pauseTimeout, missedPongThreshold, degradedAfter, expected }), ...config };
+            detector = createFailureDetector(settings);
+            state = 'connecting';
+            if (entry.restored) {
+                armedAt = null;
+                armAtNext = true;
+            } else {
+                arm(entry.at);
+            }
+        } else if (entry.type === 'negotiated') {
+            if (config.expected === undefined && entry.expected) settings.expected = entry.expected;
+        } else if (isProof(entry)) {
+            detector.heartbeat();
+            lastProofAt = entry.at;
+            state = paused() ? 'paused' : 'healthy';
+            arm(entry.at);
+        } else if (entry.type === 'paused' || entry.type === 'resumed') {
+            const pausing = entry.type === 'paused';
+            if (entry.by === 'local') localPaused = pausing;
+            if (entry.by === 'peer') peerPaused = pausing;
+            // Every pause or resume, like a clock jump, starts a fresh window.
+            detector.heartbeat();
+            state = paused() ? 'paused' : 'healthy';
+            arm(entry.at);
+        } else if (entry.type === 'interval') {
+            if (config.interval === undefined) settings.interval = entry.interval;
+            arm(entry.at);
+        } else if (entry.type === 'disconnect') {
+            disconnect = entry;
+            armedAt = null;
+        } else {
+            continue;
+        }
+        timeline.push({ at: entry.at, type: entry.type, state, missed: detector.missed() });
+    }
+
+    return {
+        dead: deadAt !== undefined,
+        deadAt,
+        lastProofAt,
+        missed: detector.missed(),
+        disconnect,
+        timeline,
+        explanation: explain({ settings, deadAt, lastProofAt, missed: detector.missed(), disconnect, state })
+    };
+};
+
+const definedOnly = (fields) => Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+
+const explain = ({ settings, deadAt, lastProofAt, missed, disconnect, state }) => {
+    if (deadAt !== undefined) {
+        const since = lastProofAt === undefined ? 'since the heartbeat timers started' : `after the last proof of life at ${lastProofAt}`;
+        return `No ${settings.expected} in ${missed} consecutive ${settings.interval}ms heartbeat windows ${since}; declared dead at ${deadAt}.`;
+    }
+    if (disconnect) {
+        return `The link ended with ${disconnect.code} at ${disconnect.at} while heartbeats were ${state}; the failure detector did not declare it dead.`;
+    }
+    return 'The failure detector never declared the link dead.';
+};
+
+export { replayHeartbeatHistory };
@@ -0,0 +1,42 @@
+/**
+ * Creates a retransmission-timeout style estimator, computed from round-trip samples the way TCP does it
+ * (RFC 6298): a smoothed RTT plus four times its variance, clamped to `[minTimeout, maxTimeout]`.
+ * Until the first sample arrives the timeout is `maxTimeout`.
+ *
+ * @param {Object} config - Configuration for the estimator.
+ * @param {number} [config.minTimeout=200] - Lower bound (in milliseconds) for the estimated timeout.
+ * @param {number} config.maxTimeout - Upper bound (in milliseconds) for the estimated timeout.
+ * @returns {{ sample: function(number): number, timeout: function(): number }} - `sample(rtt)` folds a round trip into
+ *     the estimate and returns the new timeout; `timeout()` returns the current one.
+ *
+ * @example
+ * const rto = createRtoEstimator({ minTimeout: 100, maxTimeout: 3000 });
+ * rto.sample(40);
+ * rto.timeout(); // 120 -> clamped to at least 100
+ */
+const createRtoEstimator = ({ minTimeout = 200, maxTimeout }) => {
+    let srtt;
+    let rttvar;
+
+    const timeout = () => {
+        if (srtt === undefined) {
+            return maxTimeout;
+        }
+        return Math.min(maxTimeout, Math.max(minTimeout, srtt + 4 * rttvar));
+    };
+
+    const sample = (rtt) => {
+        if (srtt === undefined) {
+            srtt = rtt;
+            rttvar = rtt / 2;
+        } else {
+            rttvar = 0.75 * rttvar + 0.25 * Math.abs(srtt - rtt);
+            srtt = 0.875 * srtt + 0.125 * rtt;
+        }
+        return timeout();
+    };
+
+    return { sample, timeout };
+};
+
+export { createRtoEstimator };
@@ -0,0 +1,67 @@
+/**
+ * Creates a rolling round-trip-time accumulator. Min, average, max and percentiles are computed
+ * over the most recent `windowSize` samples, while jitter is smoothed over the whole session the
+ * same way RTP does it (RFC 3550, section 6.4.1).
+ *
+ * @param {Object} [config] - Configuration for the accumulator.
+ * @param {number} [config.windowSize=100] - Number of most recent samples kept for the rolling statistics.
+ * @returns {{ add: function(number): Object, snapshot: function(): Object }} - `add(rtt)` records a sample and
+ *     returns the updated snapshot; `snapshot()` returns the current statistics without recording anything.
+ *
+ * @example
+ * const stats = createRttStats({ windowSize: 50 });
+ * stats.add(12);
+ * stats.add(18);
+ * console.log(stats.snapshot()); // { count: 2, last: 18, min: 12, avg: 15, max: 18, jitter: 0.375, ... }
+ */
+const createRttStats = ({ windowSize = 100 } = {}) => {
+    const samples = [];
+    let count = 0;
+    let last;
+    let jitter = 0;
+
+    const percentile = (sorted, p) => {
+        const rank = Math.ceil((p / 100) * sorted.length);
+        return sorted[Math.min(sorted.length, Math.max(rank, 1)) - 1];
+    };
+
+    const snapshot = () => {
+        if (!samples.length) {
+            return { count, last, min: undefined, avg: undefined, max: undefined, jitter, p50: undefined, p90: undefined, p99: undefined };
+        }
+
+        const sorted = [...samples].sort((a, b) => a - b);
+        const sum = samples.reduce((acc, value) => acc + value, 0);
+
+        return {
+            count,
+            last,
+            min: sorted[0],
+            avg: sum / samples.length,
+            max: sorted[sorted.length - 1],
+            jitter,
+            p50: percentile(sorted, 50),
+            p90: percentile(sorted, 90),
+            p99: percentile(sorted, 99)
+        };
+    };
+
+    const add = (rtt) => {
+        if (last !== undefined) {
+            jitter += (Math.abs(rtt - last) - jitter) / 16;
+        }
+
+        last = rtt;
+        count++;
+        samples.push(rtt);
+        if (samples.length > windowSize) {
+            samples.shift();
+        }
+
+        return snapshot();
+    };
+
+    return { add, snapshot };
+};
+
+export { createRttStats };
@@ -1,6 +1,18 @@
 import { test, solo } from 'brittle';
-import { createPlexPair, destroy } from 'rxprotoplex';
+import { createPlexPair, destroy, connect$, listenAndConnection$, withEncoding } from 'rxprotoplex';
+import { Subject, interval, asyncScheduler, VirtualTimeScheduler } from 'rxjs';
+import { TestScheduler } from 'rxjs/testing';
 import { plexPingPong } from './lib/plexPingPong.js'; // Adjust the path as needed
+import { createPingPongPool } from './lib/createPingPongPool.js';
+import { encodeFrame, decodeFrame, encodeMessage, decodeMessage, FRAME_TYPE, MAX_PAYLOAD_SIZE } from './lib/wire.js';
+import { createFaultyPlexPair } from './testing.js';
+import { createMetricsCollector } from './lib/createMetricsCollector.js';
+import { PingPongError, ERROR_CODE } from './lib/PingPongError.js';
+import { createPingPong } from './lib/createPingPong.js';
+import { monitorPaths } from './lib/monitorPaths.js';
+import { parseHeartbeatHistory } from './lib/createHeartbeatHistory.js';
+import { replayHeartbeatHistory } from './lib/replayHeartbeatHistory.js';
+import { createAuthenticator } from './lib/auth.js';
 
 test('Ping-Pong Communication between Initiator and Listener', async (t) => {
     // Create a pair of plex instances
@@ -285,3 +297,1553 @@ test('Manual Disconnection via Unsubscribe Method', async (t) => {
         destroy(listenerPlex);
     });
 });
+
+test('Pong events report round-trip time and rolling statistics', async (t) => {
+    const [initiatorPlex, listenerPlex] = createPlexPair();
+
+    const initiatorEvents$ = plexPingPong(initiatorPlex, true, { channel: '$PINGPONG$', interval: 200 });
+    const listenerEvents$ = plexPingPong(listenerPlex, false, { channel: '$PINGPONG$', interval: 200 });
+
+    const rttSamples = [];
+    const rttSubscription = initiatorEvents$.rtt$.subscribe((sample) => rttSamples.push(sample));
+
+    const pongPromise = new Promise((resolve) => {
+        const pongs = [];
+        const subscription = initiatorEvents$.subscribe({
+            next: (event) => {
+                if (event.type === 'pong') {
+                    pongs.push(event);
+                    if (pongs.length === 2) resolve(pongs);
+                }
+            },
+            error: () => {}
+        });
+        t.teardown(() => subscription.unsubscribe());
+    });
+    const listenerSubscription = listenerEvents$.subscribe({ error: () => {} });
+
+    const pongs = await pongPromise;
+
+    t.is(pongs[0].seq, 1, 'First pong echoes the first ping sequence number');
+    t.is(pongs[1].seq, 2, 'Second pong echoes the second ping sequence number');
+    t.ok(pongs.every(({ rtt }) => typeof rtt === 'number' && rtt >= 0), 'Each pong carries a measured rtt');
+    t.is(pongs[1].stats.count, 2, 'Stats accumulate over the session');
+    t.ok(pongs[1].stats.min <= pongs[1].stats.avg && pongs[1].stats.avg <= pongs[1].stats.max, 'min <= avg <= max');
+    t.is(rttSamples.length, 2, 'rtt$ emitted once per measured round trip');
+
+    t.teardown(() => {
+        rttSubscription.unsubscribe();
+        listenerSubscription.unsubscribe();
+        destroy(initiatorPlex);
+        destroy(listenerPlex);
+    });
+});
+
+test('Listener fails with initiator silent when pings stop arriving', async (t) => {
+    const [initiatorPlex, listenerPlex] = createPlexPair();
+
+    // Open the channel from the initiator side without ever sending a ping
+    const silentSubscription = connect$(initiatorPlex, '$PINGPONG$', withEncoding('json')).subscribe();
+
+    const listenerEvents$ = plexPingPong(listenerPlex, false, { channel: '$PINGPONG$', interval: 300 });
+
+    const error = await new Promise((resolve) => {
+        listenerEvents$.subscribe({
+            next: (event) => t.is(event.type, 'missed', 'Only missed beats are reported for a silent initiator'),
+            error: resolve,
+            complete: () => resolve(null)
+        });
+    });
+
+    t.ok(error, 'Listener errored');
+    t.is(error.code, 'INITIATOR_SILENT', 'Listener reports the initiator as silent');
+
+    t.teardown(() => {
+        silentSubscription.unsubscribe();
+        destroy(initiatorPlex);
+        destroy(listenerPlex);
+    });
+});
+
+test('health$ reports connecting, healthy and dead transitions', async (t) => {
+    const [initiatorPlex, listenerPlex] = createPlexPair();
+
+    const initiatorEvents$ = plexPingPong(initiatorPlex, true, { channel: '$PINGPONG$', interval: 200 });
+    const listenerEvents$ = plexPingPong(listenerPlex, false, { channel: '$PINGPONG$', interval: 200 });
+
+    const states = [];
+    const healthSubscription = initiatorEvents$.health$.subscribe((record) => {
+        t.ok(typeof record.timestamp === 'number' && record.reason, `${record.state}: ${record.reason}`);
+        states.push(record.state);
+    });
+
+    const listenerSubscription = listenerEvents$.subscribe({ error: () => {} });
+    const done = new Promise((resolve) => {
+        initiatorEvents$.subscribe({
+            next: (event) => {
+                if (event.type === 'pong') destroy(listenerPlex);
+            },
+            error: resolve,
+            complete: resolve
+        });
+    });
+
+    await done;
+
+    t.is(states[0], 'connecting', 'Starts in connecting');
+    t.ok(states.includes('healthy'), 'Becomes healthy once a pong arrives');
+    t.is(states[states.length - 1], 'dead', 'Ends dead after the peer goes away');
+
+    t.teardown(() => {
+        healthSubscription.unsubscribe();
+        listenerSubscription.unsubscribe();
+        destroy(initiatorPlex);
+        destroy(listenerPlex);
+    });
+});
+
+test('Missed pongs below missedPongThreshold only degrade the connection', async (t) => {
+    const [initiatorPlex, listenerPlex] = createPlexPair();
+
+    // The listener side opens the channel but never answers, so every heartbeat window is missed
+    const mutedSubscription = listenAndConnection$(listenerPlex, '$PINGPONG$', withEncoding('json')).subscribe();
+
+    const initiatorEvents$ = plexPingPong(initiatorPlex, true, { channel: '$PINGPONG$', interval: 200, missedPongThreshold: 3 });
+
+    const states = [];
+    const healthSubscription = initiatorEvents$.health$.subscribe(({ state }) => states.push(state));
+
+    const missed = [];
+    const error = await new Promise((resolve) => {
+        initiatorEvents$.subscribe({
+            next: (event) => {
+                if (event.type === 'missed') missed.push(event);
+            },
+            error: resolve,
+            complete: () => resolve(null)
+        });
+    });
+
+    t.alike(missed.map((event) => event.missed), [1, 2, 3], 'A warning is emitted for each missed beat');
+    t.ok(missed.every((event) => event.threshold === 3), 'Warnings carry the threshold');
+    t.ok(states.includes('degraded'), 'Connection was degraded before being torn down');
+    t.is(error?.code, 'HEARTBEAT_TIMEOUT', 'Torn down only after the threshold was reached');
+
+    t.teardown(() => {
+        healthSubscription.unsubscribe();
+        mutedSubscription.unsubscribe();
+        destroy(initiatorPlex);
+        destroy(listenerPlex);
+    });
+});
+
+test('Adaptive mode derives the pong timeout from measured latency', async (t) => {
+    const [initiatorPlex, listenerPlex] = createPlexPair();
+
+    const initiatorEvents$ = plexPingPong(initiatorPlex, true, { channel: '$PINGPONG$', interval: 400, adaptive: true, minTimeout: 50 });
+    const listenerSubscription = plexPingPong(listenerPlex, false, { channel: '$PINGPONG$', interval: 400 }).subscribe({ error: () => {} });
+
+    const pong = await new Promise((resolve, reject) => {
+        const subscription = initiatorEvents$.subscribe({
+            next: (event) => event.type === 'pong' && resolve(event),
+            error: reject
+        });
+        t.teardown(() => subscription.unsubscribe());
+    });
+
+    t.ok(pong.timeout >= 50 && pong.timeout <= 200, `Adaptive timeout ${pong.timeout}ms is clamped to [minTimeout, interval / 2]`);
+
+    t.teardown(() => {
+        listenerSubscription.unsubscribe();
+        destroy(initiatorPlex);
+        destroy(listenerPlex);
+    });
+});
+
+test('Application traffic on activity$ replaces pings', async (t) => {
+    const [initiatorPlex, listenerPlex] = createPlexPair();
+    const activity$ = interval(50);
+
+    const initiatorEvents$ = plexPingPong(initiatorPlex, true, { channel: '$PINGPONG$', interval: 300, activity$ });
+    const listenerEvents$ = plexPingPong(listenerPlex, false, { channel: '$PINGPONG$', interval: 300, activity$ });
+
+    const types = [];
+    let failed = false;
+    const initiatorSubscription = initiatorEvents$.subscribe({ next: ({ type }) => types.push(type), error: () => { failed = true; } });
+    const listenerSubscription = listenerEvents$.subscribe({ next: ({ type }) => types.push(type), error: () => { failed = true; } });
+
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+
+    t.absent(failed, 'Neither side failed while traffic was flowing');
+    t.absent(types.includes('ping'), 'No pings were needed while traffic proved liveness');
+    t.absent(types.includes('missed'), 'No heartbeats were missed');
+
+    t.teardown(() => {
+        initiatorSubscription.unsubscribe();
+        listenerSubscription.unsubscribe();
+        destroy(initiatorPlex);
+        destroy(listenerPlex);
+    });
+});
+
+test('Pings keep flowing when only one side watches application traffic', async (t) => {
+    const [initiatorPlex, listenerPlex] = createPlexPair();
+    // One-way application traffic from the listener to the initiator
+    const activity$ = interval(50);
+
+    const initiatorEvents$ = plexPingPong(initiatorPlex, true, { channel: '$PINGPONG$', interval: 300, activity$ });
+    const listenerEvents$ = plexPingPong(listenerPlex, false, { channel: '$PINGPONG$', interval: 300 });
+
+    const types = [];
+    let listenerError;
+    const initiatorSubscription = initiatorEvents$.subscribe({ next: ({ type }) => types.push(type), error: () => {} });
+    const listenerSubscription = listenerEvents$.subscribe({ error: (error) => { listenerError = error; } });
+
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+
+    t.ok(types.includes('ping'), 'The initiator keeps pinging a listener that cannot see the traffic');
+    t.absent(listenerError, `The listener's watchdog is fed (${listenerError?.code})`);
+
+    t.teardown(() => {
+        initiatorSubscription.unsubscribe();
+        listenerSubscription.unsubscribe();
+        destroy(initiatorPlex);
+        destroy(listenerPlex);
+    });
+});
+
+test('An erroring activity$ fails the ping-pong instead of crashing the process', async (t) => {
+    const [initiatorPlex, listenerPlex] = createPlexPair();
+    const activity$ = new Subject();
+
+    const listenerSubscription = plexPingPong(listenerPlex, false, { channel: '$PINGPONG$', interval: 200 }).subscribe({ error: () => {} });
+    const error = await new Promise((resolve) => {
+        plexPingPong(initiatorPlex, true, { channel: '$PINGPONG$', interval: 200, activity$ }).subscribe({ error: resolve });
+        setTimeout(() => activity$.error(new Error('Traffic feed broke')), 300);
+    });
+
+    t.is(error.code, ERROR_CODE.SOURCE_ERROR, 'The failure is typed');
+    t.is(error.cause.message, 'Traffic feed broke', 'The source error is the cause');
+
+    t.teardown(() => {
+        listenerSubscription.unsubscribe();
+        destroy(initiatorPlex);
+        destroy(listenerPlex);
+    });
+});
+
+test('Pool merges events by peer id and aggregates health', async (t) => {
+    const [initiatorA, listenerA] = createPlexPair();
+    const [initiatorB, listenerB] = createPlexPair();
+
+    const pool = createPingPongPool({ channel: '$PINGPONG$', interval: 300 });
+
+    const pongsByPeer = new Map();
+    const closed = [];
+    pool.events$.subscribe(({ peerId, type }) => {
+        if (type === 'pong') pongsByPeer.set(peerId, (pongsByPeer.get(peerId) || 0) + 1);
+        if (type === 'closed') closed.push(peerId);
+    });
+
+    let counts;
+    pool.health$.subscribe((value) => { counts = value; });
+
+    pool.add('a', initiatorA);
+    pool.add('a-listener', listenerA, { isInitiator: false });
+    pool.add('b', initiatorB);
+    pool.add('b-listener', listenerB, { isInitiator: false });
+
+    t.exception(() => pool.add('a', initiatorA), /already monitored/, 'Peer ids are unique');
+
+    await new Promise((resolve) => setTimeout(resolve, 500));
+
+    t.ok(pongsByPeer.get('a') > 0 && pongsByPeer.get('b') > 0, 'Both initiators received pongs');
+    t.is(counts.total, 4, 'Four members are monitored');
+    t.is(counts.healthy, 4, 'All members are healthy');
+
+    destroy(listenerB);
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    t.ok(closed.includes('b') && closed.includes('b-listener'), 'Closed members were reported');
+    t.alike(pool.peers().sort(), ['a', 'a-listener'], 'Closed members were removed from the pool');
+    t.is(counts.total, 2, 'Aggregate health follows removals');
+
+    t.ok(pool.remove('a'), 'Members can be removed explicitly');
+    t.absent(pool.has('a'), 'Removed member is gone');
+
+    t.teardown(() => {
+        pool.close();
+        destroy(initiatorA);
+        destroy(listenerA);
+        destroy(initiatorB);
+        destroy(listenerB);
+    });
+});
+
+test('plexFactory re-establishes the ping-pong on a fresh plex', async (t) => {
+    const plexes = [];
+    const listeners = [];
+    const createPair = () => {
+        const [initiatorPlex, listenerPlex] = createPlexPair();
+        plexes.push(initiatorPlex, listenerPlex);
+        listeners.push(plexPingPong(listenerPlex, false, { channel: '$PINGPONG$', interval: 300 }).subscribe({ error: () => {} }));
+        return [initiatorPlex, listenerPlex];
+    };
+
+    const [firstPlex, firstListenerPlex] = createPair();
+    let factoryCalls = 0;
+
+    const initiatorEvents$ = plexPingPong(firstPlex, true, {
+        channel: '$PINGPONG$',
+        interval: 300,
+        backoffInitialDelay: 50,
+        plexFactory: async () => {
+            factoryCalls++;
+            return createPair()[0];
+        }
+    });
+
+    const states = [];
+    const healthSubscription = initiatorEvents$.health$.subscribe(({ state }) => states.push(state));
+
+    let failed = false;
+    const reconnected = await new Promise((resolve) => {
+        let reconnectedEvent;
+        const subscription = initiatorEvents$.subscribe({
+            next: (event) => {
+                if (event.type === 'pong' && !reconnectedEvent && factoryCalls === 0) destroy(firstListenerPlex);
+                if (event.type === 'reconnected') reconnectedEvent = event;
+                if (event.type === 'pong' && reconnectedEvent) resolve(reconnectedEvent);
+            },
+            error: () => {
+                failed = true;
+                resolve(null);
+            }
+        });
+        t.teardown(() => subscription.unsubscribe());
+    });
+
+    t.absent(failed, 'Observable did not error');
+    t.is(factoryCalls, 1, 'Factory was asked for one fresh plex');
+    t.is(reconnected.attempt, 1, 'Reconnected on the first attempt');
+    t.is(reconnected.plex, plexes[2], 'Reconnected event carries the new plex');
+    t.ok(states.includes('reconnecting'), 'Health went through reconnecting');
+    t.is(states[states.length - 1], 'healthy', 'Healthy again on the new plex');
+
+    t.teardown(() => {
+        healthSubscription.unsubscribe();
+        listeners.forEach((subscription) => subscription.unsubscribe());
+        plexes.forEach((plex) => destroy(plex));
+    });
+});
+
+test('plexFactory does not re-establish against an incompatible peer', async (t) => {
+    const plexes = [];
+    const subscriptions = [];
+    // A listener from before the wire protocol, which cannot authenticate heartbeats
+    const createLegacyPair = () => {
+        const [initiatorPlex, listenerPlex] = createPlexPair();
+        plexes.push(initiatorPlex, listenerPlex);
+        subscriptions.push(listenAndConnection$(listenerPlex, '$PINGPONG$', withEncoding('json')).subscribe((stream) => {
+            stream.on('data', (data) => data === 'ping' && stream.write('pong'));
+        }));
+        return initiatorPlex;
+    };
+
+    let factoryCalls = 0;
+    const error = await new Promise((resolve) => {
+        const subscription = plexPingPong(createLegacyPair(), true, {
+            channel: '$PINGPONG$',
+            interval: 300,
+            connectionTimeout: 200,
+            awaitPeer: true,
+            auth: { secret: 'shared secret' },
+            backoffInitialDelay: 50,
+            plexFactory: () => {
+                factoryCalls++;
+                return createLegacyPair();
+            }
+        }).subscribe({ error: resolve });
+        t.teardown(() => subscription.unsubscribe());
+    });
+
+    t.is(error.code, ERROR_CODE.INCOMPATIBLE_PEER, 'The incompatibility is reported as is');
+    t.is(factoryCalls, 0, 'No fresh plex was asked for');
+
+    t.teardown(() => {
+        subscriptions.forEach((subscription) => subscription.unsubscribe());
+        plexes.forEach((plex) => destroy(plex));
+    });
+});
+
+test('destroyOnFailure: false only closes the ping-pong channel', async (t) => {
+    const [initiatorPlex, listenerPlex] = createPlexPair();
+
+    // The listener opens the channel but never answers
+    const mutedSubscription = listenAndConnection$(listenerPlex, '$PINGPONG$', withEncoding('json')).subscribe();
+
+    let plexClosed = false;
+    initiatorPlex.close$.subscribe(() => { plexClosed = true; });
+
+    const failure = await new Promise((resolve) => {
+        plexPingPong(initiatorPlex, true, {
+            channel: '$PINGPONG$',
+            interval: 200,
+            destroyOnFailure: false,
+            onPingPongFailure: (error, details) => resolve({ error, details })
+        }).subscribe();
+    });
+
+    t.is(failure.error.code, 'HEARTBEAT_TIMEOUT', 'Failure was reported');
+    t.is(failure.details.plex, initiatorPlex, 'Handler receives the plex');
+    t.absent(failure.details.plexDestroyed, 'Handler is told the plex was kept');
+    t.absent(plexClosed, 'Plex is still open for the other channels');
+
+    t.teardown(() => {
+        mutedSubscription.unsubscribe();
+        destroy(initiatorPlex);
+        destroy(listenerPlex);
+    });
+});
+
+test('A failurePolicy that throws falls back to destroyOnFailure', async (t) => {
+    const [initiatorPlex, listenerPlex] = createPlexPair();
+
+    // The listener opens the channel but never answers
+    const mutedSubscription = listenAndConnection$(listenerPlex, '$PINGPONG$', withEncoding('json')).subscribe();
+
+    let plexClosed = false;
+    initiatorPlex.close$.subscribe(() => { plexClosed = true; });
+
+    const error = await new Promise((resolve) => {
+        plexPingPong(initiatorPlex, true, {
+            channel: '$PINGPONG$',
+            interval: 200,
+            destroyOnFailure: false,
+            failurePolicy: () => { throw new Error('Policy bug'); }
+        }).subscribe({ error: resolve });
+    });
+
+    t.is(error.code, 'HEARTBEAT_TIMEOUT', 'The failure still reaches the subscriber');
+    t.absent(plexClosed, 'destroyOnFailure decided to keep the plex');
+
+    t.teardown(() => {
+        mutedSubscription.unsubscribe();
+        destroy(initiatorPlex);
+        destroy(listenerPlex);
+    });
+});
+
+test('Binary frames round-trip with extensions', (t) => {
+    const frame = encodeFrame({ type: FRAME_TYPE.pong, seq: 42, ts: 1234.5, extensions: [{ type: 200, value: new Uint8Array([1, 2, 3]) }] });
+    const decoded = decodeFrame(frame);
+
+    t.is(decoded.version, 1, 'Version is encoded');
+    t.is(decoded.type, FRAME_TYPE.pong, 'Type is encoded');
+    t.is(decoded.seq, 42, 'Sequence is encoded');
+    t.is(decoded.ts, 1234.5, 'Timestamp is encoded');
+    t.alike([...decoded.extensions[0].value], [1, 2, 3], 'Extensions are encoded');
+    t.exception(() => decodeFrame(frame.subarray(0, 10)), /Truncated/, 'Truncated frames are rejected');
+    t.exception(() => decodeFrame(new Uint8Array([...frame, 0])), /Trailing bytes/, 'Frames with trailing bytes are rejected');
+    t.is(decodeFrame(encodeFrame({ type: FRAME_TYPE.ping, seq: 2 ** 32 + 5 })).seq, 2 ** 32 + 5, 'Sequence numbers do not wrap at 2^32');
+    t.exception(() => encodeFrame({ type: FRAME_TYPE.ping, seq: -1 }), RangeError, 'Negative sequence numbers are refused');
+    t.exception(() => encodeFrame({ type: FRAME_TYPE.ping, seq: 2 ** 53 }), RangeError, 'Unsafe sequence numbers are refused');
+    t.is(decodeMessage('not a frame'), null, 'Strings that are not base64 are not heartbeats');
+    t.is(decodeMessage('aGVsbG8gd29ybGQgaGVsbG8gd29ybGQh'), null, 'Base64 that holds no frame is not a heartbeat');
+
+    t.alike(decodeMessage(encodeMessage({ type: 'ping', seq: 1, ts: 99 }, 'binary')), { type: 'ping', seq: 1, ts: 99 }, 'Messages survive the binary wire');
+    t.is(encodeMessage({ type: 'ping', seq: 1, ts: 99 }, 'legacy'), 'ping', 'Legacy wire uses the bare strings');
+    t.alike(decodeMessage('pong'), { type: 'pong', legacy: true }, 'Bare strings decode as legacy messages');
+});
+
+test('Initiator interoperates with a legacy string-only listener', async (t) => {
+    const [initiatorPlex, listenerPlex] = createPlexPair();
+
+    // A listener from before the wire protocol: answers "ping" with "pong" and ignores everything else
+    const received = [];
+    const legacySubscription = listenAndConnection$(listenerPlex, '$PINGPONG$', withEncoding('json')).subscribe((stream) => {
+        stream.on('data', (data) => {
+            received.push(data);
+            if (data === 'ping') stream.write('pong');
+        });
+    });
+
+    const pongs = await new Promise((resolve, reject) => {
+        let count = 0;
+        const subscription = plexPingPong(initiatorPlex, true, { channel: '$PINGPONG$', interval: 200 }).subscribe({
+            next: ({ type }) => type === 'pong' && ++count === 3 && resolve(count),
+            error: reject
+        });
+        t.teardown(() => subscription.unsubscribe());
+    });
+
+    t.is(pongs, 3, 'Legacy pongs keep the connection alive');
+    t.ok(received.filter((data) => data !== 'ping').every((data) => data?.type === 'hello'), 'Pings stay bare strings until the peer answers the hello');
+
+    t.teardown(() => {
+        legacySubscription.unsubscribe();
+        destroy(initiatorPlex);
+        destroy(listenerPlex);
+    });
+});
+
+test('Listener interoperates with a legacy string-only initiator', async (t) => {
+    const [initiatorPlex, listenerPlex] = createPlexPair();
+
+    const listenerEvents = [];
+    const listenerSubscription = plexPingPong(listenerPlex, false, { channel: '$PINGPONG$', interval: 300 }).subscribe({
+        next: (event) => listenerEvents.push(event),
+        error: (error) => t.fail(`The listener failed: ${error.code}`)
+    });
+
+    // An initiator from before the wire protocol: sends no hello, pings with "ping" and expects "pong"
+    const answers = [];
+    let pingTimer;
+    const legacySubscription = connect$(initiatorPlex, '$PINGPONG$', withEncoding('json')).subscribe((stream) => {
+        stream.on('data', (data) => answers.push(data));
+        pingTimer = setInterval(() => stream.write('ping'), 100);
+    });
+
+    await new Promise((resolve) => setTimeout(resolve, 700));
+    t.ok(answers.length >= 3, 'The legacy initiator is answered');
+    t.ok(answers.every((data) => data === 'pong'), 'It only ever receives bare pongs');
+    t.ok(listenerEvents.filter(({ type }) => type === 'ping').length >= 3, 'The listener counts its pings as proof of life');
+
+    t.teardown(() => {
+        clearInterval(pingTimer);
+        legacySubscription.unsubscribe();
+        listenerSubscription.unsubscribe();
+        destroy(initiatorPlex);
+        destroy(listenerPlex);
+    });
+});
+
+test('getPayload piggybacks metadata on pings and pongs', async (t) => {
+    const [initiatorPlex, listenerPlex] = createPlexPair();
+
+    const initiatorEvents$ = plexPingPong(initiatorPlex, true, { channel: '$PINGPONG$', interval: 200, getPayload: () => ({ version: '1.0.0' }) });
+    const listenerEvents$ = plexPingPong(listenerPlex, false, { channel: '$PINGPONG$', interval: 200, getPayload: () => ({ load: 0.5 }) });
+
+    const received = await new Promise((resolve) => {
+        const result = {};
+        const check = () => result.ping && result.pong && resolve(result);
+        const listenerSubscription = listenerEvents$.subscribe({
+            next: (event) => {
+                if (event.type === 'ping' && event.peerPayload) result.ping = event.peerPayload;
+                check();
+            },
+            error: () => {}
+        });
+        const initiatorSubscription = initiatorEvents$.subscribe({
+            next: (event) => {
+                if (event.type === 'pong' && event.peerPayload) result.pong = event.peerPayload;
+                check();
+            },
+            error: () => {}
+        });
+        t.teardown(() => {
+            listenerSubscription.unsubscribe();
+            initiatorSubscription.unsubscribe();
+        });
+    });
+
+    t.alike(received.ping, { version: '1.0.0' }, 'Listener received the initiator payload');
+    t.alike(received.pong, { load: 0.5 }, 'Initiator received the listener payload');
+
+    t.teardown(() => {
+        destroy(initiatorPlex);
+        destroy(listenerPlex);
+    });
+});
+
+test('Oversized or unserializable payloads are dropped and the heartbeats still go out', async (t) => {
+    const oversized = () => ({ blob: 'x'.repeat(MAX_PAYLOAD_SIZE) });
+    const bigint = () => ({ count: 1n });
+
+    for (const auth of [undefined, { secret: 'shared secret' }]) {
+        const [initiatorPlex, listenerPlex] = createPlexPair();
+        const listenerEvents = [];
+        const listenerSubscription = plexPingPong(listenerPlex, false, { channel: '$PINGPONG$', interval: 200, auth, getPayload: bigint }).subscribe({
+            next: (event) => listenerEvents.push(event),
+            error: (error) => t.fail(`The listener failed: ${error.code}`)
+        });
+
+        const pongs = await new Promise((resolve, reject) => {
+            const pongs = [];
+            const subscription = plexPingPong(initiatorPlex, true, { channel: '$PINGPONG$', interval: 200, auth, getPayload: oversized }).subscribe({
+                next: (event) => event.type === 'pong' && pongs.push(event) === 3 && resolve(pongs),
+                error: reject
+            });
+            t.teardown(() => subscription.unsubscribe());
+        });
+
+        const label = auth ? 'with auth' : 'without auth';
+        t.absent(pongs.some(({ peerPayload }) => peerPayload !== undefined), `The BigInt payload was dropped from the pongs ${label}`);
+        t.absent(listenerEvents.some(({ type, peerPayload }) => type === 'ping' && peerPayload !== undefined), `The oversized payload was dropped from the pings ${label}`);
+
+        listenerSubscription.unsubscribe();
+        destroy(initiatorPlex);
+        destroy(listenerPlex);
+    }
+});
+
+test('Authenticated heartbeats accept signed pongs and reject spoofed ones', async (t) => {
+    const [initiatorPlex, listenerPlex] = createPlexPair();
+    const auth = { secret: 'shared secret' };
+
+    const listenerSubscription = plexPingPong(listenerPlex, false, { channel: '$PINGPONG$', interval: 300, auth }).subscribe({ error: () => {} });
+
+    const pong = await new Promise((resolve, reject) => {
+        const subscription = plexPingPong(initiatorPlex, true, { channel: '$PINGPONG$', interval: 300, auth }).subscribe({
+            next: (event) => event.type === 'pong' && resolve(event),
+            error: reject
+        });
+        t.teardown(() => subscription.unsubscribe());
+    });
+    t.ok(typeof pong.rtt === 'number', 'Signed pong was accepted');
+
+    // A spoofing listener negotiates JSON and answers every ping without a MAC
+    const [spoofedPlex, spooferPlex] = createPlexPair();
+    const spooferSubscription = listenAndConnection$(spooferPlex, '$PINGPONG$', withEncoding('json')).subscribe((stream) => {
+        stream.on('data', (data) => {
+            if (data?.type === 'hello') stream.write({ type: 'hello', version: 1, wire: 'json' });
+            if (data?.type === 'ping') stream.write({ type: 'pong', seq: data.seq, ts: data.ts, nonce: data.nonce });
+            if (data === 'ping') stream.write('pong');
+        });
+    });
+
+    const unverified = [];
+    const error = await new Promise((resolve) => {
+        plexPingPong(spoofedPlex, true, { channel: '$PINGPONG$', interval: 300, auth }).subscribe({
+            next: (event) => {
+                t.not(event.type, 'pong', 'Spoofed pongs are never reported as pongs');
+                if (event.type === 'unverified') unverified.push(event);
+            },
+            error: resolve
+        });
+    });
+
+    t.ok(unverified.length > 0 && unverified.every(({ reason }) => reason === 'unsigned'), 'Spoofed pongs were reported as unsigned');
+    t.is(error.code, 'HEARTBEAT_TIMEOUT', 'Spoofed pongs do not keep the connection alive');
+
+    t.teardown(() => {
+        listenerSubscription.unsubscribe();
+        spooferSubscription.unsubscribe();
+        [initiatorPlex, listenerPlex, spoofedPlex, spooferPlex].forEach((plex) => destroy(plex));
+    });
+});
+
+test('Authenticated listeners reject replayed frames and hellos after the handshake', async (t) => {
+    const [initiatorPlex, listenerPlex] = createPlexPair();
+    const auth = { secret: 'shared secret' };
+    const authenticator = createAuthenticator(auth);
+    const signed = async (message, session) => ({ ...message, mac: await authenticator.sign(message, session) });
+
+    const listenerEvents$ = plexPingPong(listenerPlex, false, { channel: '$PINGPONG$', interval: 1000, auth });
+    const events = [];
+    const listenerSubscription = listenerEvents$.subscribe({ next: (event) => events.push(event), error: () => {} });
+
+    // Validly signed frames, as captured on the wire from a real initiator
+    const stream = await new Promise((resolve) => {
+        const subscription = connect$(initiatorPlex, '$PINGPONG$', withEncoding('json')).subscribe(resolve);
+        t.teardown(() => subscription.unsubscribe());
+    });
+    const helloNonce = authenticator.nonce();
+    const reply = new Promise((resolve) => stream.on('data', (data) => data?.type === 'hello' && resolve(data)));
+    stream.write(await signed({ type: 'hello', versions: [1], wire: ['json'], nonce: helloNonce }));
+    const session = authenticator.session(helloNonce, (await reply).listenerNonce);
+    const firstPing = await signed({ type: 'ping', seq: 1, ts: Date.now(), nonce: authenticator.nonce() }, session);
+    stream.write(firstPing);
+    stream.write(await signed({ type: 'ping', seq: 2, ts: Date.now(), nonce: authenticator.nonce() }, session));
+    stream.write(firstPing);
+    // A signed hello that offers nothing would downgrade the connection to the legacy format
+    stream.write(await signed({ type: 'hello', versions: [], wire: [], nonce: authenticator.nonce() }));
+    await new Promise((resolve) => setTimeout(resolve, 200));
+
+    const pings = events.filter(({ type, received }) => type === 'ping' && received).map(({ seq }) => seq);
+    t.alike(pings, [1, 2], 'Fresh pings are accepted once');
+    t.ok(events.some(({ type, message, reason, seq }) => type === 'unverified' && message === 'ping' && reason === 'replayed' && seq === 1), 'The replayed ping is rejected');
+    t.is(listenerEvents$.getStats().wire, 'json', 'A hello after the handshake does not renegotiate the wire format');
+
+    t.teardown(() => {
+        listenerSubscription.unsubscribe();
+        destroy(initiatorPlex);
+        destroy(listenerPlex);
+    });
+});
+
+test('Signed frames captured on one connection are rejected on the next', async (t) => {
+    const auth = { secret: 'shared secret' };
+    const authenticator = createAuthenticator(auth);
+    const signed = async (message, session) => ({ ...message, mac: await authenticator.sign(message, session) });
+    const pairs = [createPlexPair(), createPlexPair()];
+
+    const listen = (listenerPlex) => {
+        const events = [];
+        const failed = new Promise((resolve) => {
+            const subscription = plexPingPong(listenerPlex, false, { channel: '$PINGPONG$', interval: 1000, auth }).subscribe({
+                next: (event) => events.push(event),
+                error: resolve
+            });
+            t.teardown(() => subscription.unsubscribe());
+        });
+        return { events, failed };
+    };
+
+    // Opens the channel and sends the hello; resolves with the stream and the session the listener answered with
+    const handshake = async (initiatorPlex, hello) => {
+        const stream = await new Promise((resolve) => {
+            const subscription = connect$(initiatorPlex, '$PINGPONG$', withEncoding('json')).subscribe(resolve);
+            t.teardown(() => subscription.unsubscribe());
+        });
+        const reply = new Promise((resolve) => stream.on('data', (data) => data?.type === 'hello' && resolve(data)));
+        stream.write(hello);
+        return { stream, session: authenticator.session(hello.nonce, (await reply).listenerNonce) };
+    };
+
+    // A genuine connection, recorded by an eavesdropper
+    const first = listen(pairs[0][1]);
+    const hello = await signed({ type: 'hello', versions: [1], wire: ['json'], nonce: authenticator.nonce() });
+    const recorded = await handshake(pairs[0][0], hello);
+    const ping = await signed({ type: 'ping', seq: 1, ts: Date.now(), nonce: authenticator.nonce() }, recorded.session);
+    const bye = await signed({ type: 'bye', seq: 1, reason: 'done', nonce: authenticator.nonce() }, recorded.session);
+    recorded.stream.write(ping);
+    recorded.stream.write(bye);
+    t.is((await first.failed).code, ERROR_CODE.PEER_BYE, 'The recorded frames are genuine');
+
+    // The eavesdropper replays the whole exchange into a new connection
+    const second = listen(pairs[1][1]);
+    const replayed = await handshake(pairs[1][0], hello);
+    t.not(replayed.session, recorded.session, 'The new connection has a session of its own');
+    replayed.stream.write(ping);
+    replayed.stream.write(bye);
+    await new Promise((resolve) => setTimeout(resolve, 200));
+
+    const rejected = second.events.filter(({ type }) => type === 'unverified').map(({ message, reason }) => [message, reason]);
+    t.alike(rejected, [['ping', 'bad-mac'], ['bye', 'bad-mac']], 'The replayed ping and bye are rejected');
+    t.absent(second.events.some(({ type, received }) => type === 'bye' || (type === 'ping' && received)), 'Neither is acted upon');
+
+    t.teardown(() => {
+        pairs.flat().forEach((plex) => destroy(plex));
+    });
+});
+
+test('Clock offset is estimated from the peer pong timestamps', async (t) => {
+    const [initiatorPlex, listenerPlex] = createPlexPair();
+
+    // A listener whose clock runs five seconds ahead
+    const skewedSubscription = listenAndConnection$(listenerPlex, '$PINGPONG$', withEncoding('json')).subscribe((stream) => {
+        stream.on('data', (data) => {
+            if (data?.type === 'hello') stream.write({ type: 'hello', version: 1, wire: 'json' });
+            if (data?.type === 'ping') {
+                const now = Date.now() + 5000;
+                stream.write({ type: 'pong', seq: data.seq, ts: data.ts, rxTs: now, txTs: now });
+            }
+        });
+    });
+
+    const initiatorEvents$ = plexPingPong(initiatorPlex, true, { channel: '$PINGPONG$', interval: 200 });
+    const [estimate, pong] = await new Promise((resolve, reject) => {
+        let estimate;
+        const offsetSubscription = initiatorEvents$.clockOffset$.subscribe((value) => { estimate = value; });
+        const subscription = initiatorEvents$.subscribe({
+            next: (event) => event.type === 'pong' && resolve([estimate, event]),
+            error: reject
+        });
+        t.teardown(() => {
+            offsetSubscription.unsubscribe();
+            subscription.unsubscribe();
+        });
+    });
+
+    t.ok(Math.abs(estimate.offset - 5000) <= estimate.confidence + 1, 'Offset matches the peer clock skew');
+    t.ok(estimate.confidence >= 0, 'Confidence is reported');
+    t.is(estimate.samples, 1, 'Estimate is based on the first round trip');
+    t.is(estimate.plex, initiatorPlex, 'Estimate carries the plex');
+    t.alike(pong.clockOffset, { offset: estimate.offset, confidence: estimate.confidence, delay: estimate.delay, samples: 1 }, 'Pong carries the estimate');
+
+    t.teardown(() => {
+        skewedSubscription.unsubscribe();
+        destroy(initiatorPlex);
+        destroy(listenerPlex);
+    });
+});
+
+test('Connection timeouts and retries run on an injected scheduler', async (t) => {
+    const [listenerPlex, silentPlex] = createPlexPair();
+    const scheduler = new VirtualTimeScheduler();
+    const startedAt = Date.now();
+
+    const listenerEvents$ = plexPingPong(listenerPlex, false, {
+        channel: '$PINGPONG$',
+        connectionTimeout: 1000,
+        retryDelay: 1000,
+        reconnectAttemptCount: 3,
+        destroyOnFailure: false,
+        scheduler
+    });
+
+    const records = [];
+    const healthSubscription = listenerEvents$.health$.subscribe((record) => records.push(record));
+    let error;
+    const subscription = listenerEvents$.subscribe({ error: (err) => { error = err; } });
+
+    scheduler.flush();
+
+    t.ok(error, 'Listener gave up waiting for the initiator');
+    t.is(scheduler.now(), 7000, 'Three timeouts and three retry delays elapsed in virtual time');
+    t.ok(Date.now() - startedAt < 1000, 'No real time was spent waiting');
+    t.alike(
+        records.map(({ state, timestamp }) => [state, timestamp]),
+        [['connecting', 0], ['reconnecting', 1000], ['reconnecting', 3000], ['reconnecting', 5000], ['dead', 7000]],
+        'Health records are stamped with virtual time'
+    );
+
+    t.teardown(() => {
+        healthSubscription.unsubscribe();
+        subscription.unsubscribe();
+        destroy(listenerPlex);
+        destroy(silentPlex);
+    });
+});
+
+test('A heartbeat timeout runs through to the error on a TestScheduler', async (t) => {
+    const [initiatorPlex, listenerPlex] = createPlexPair();
+    const scheduler = new TestScheduler((actual, expected) => t.alike(actual, expected));
+    scheduler.maxFrames = 10000;
+    const startedAt = Date.now();
+
+    // Negotiates JSON but never answers a ping
+    const joined = new Promise((resolve) => {
+        const mutedSubscription = listenAndConnection$(listenerPlex, '$PINGPONG$', withEncoding('json')).subscribe((stream) => {
+            stream.on('data', (data) => {
+                if (data?.type !== 'hello') return;
+                stream.write({ type: 'hello', version: 1, wire: 'json' });
+                resolve();
+            });
+        });
+        t.teardown(() => mutedSubscription.unsubscribe());
+    });
+
+    const events = [];
+    let error;
+    let failedAt;
+    const subscription = plexPingPong(initiatorPlex, true, { channel: '$PINGPONG$', interval: 1000, missedPongThreshold: 2, scheduler }).subscribe({
+        next: (event) => events.push(event),
+        error: (err) => {
+            error = err;
+            failedAt = scheduler.now();
+        }
+    });
+
+    // Channel setup crosses the plex in real time; the heartbeats then run in virtual time
+    await joined;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    scheduler.flush();
+
+    t.is(error?.code, ERROR_CODE.HEARTBEAT_TIMEOUT, 'The silent peer is declared dead');
+    t.alike(events.filter(({ type }) => type === 'missed').map(({ missed }) => missed), [1, 2], 'Both windows were missed first');
+    t.is(failedAt, 2000, 'The failure came after two virtual heartbeat windows');
+    t.ok(events.filter(({ type }) => type === 'ping').length >= 3, 'Pings went out on the virtual cadence');
+    t.ok(Date.now() - startedAt < 1000, 'No real heartbeat window was waited through');
+
+    t.teardown(() => {
+        subscription.unsubscribe();
+        destroy(initiatorPlex);
+        destroy(listenerPlex);
+    });
+});
+
+test('Faulty plex pair delays heartbeats and partitions one direction', async (t) => {
+    const link = createFaultyPlexPair();
+    const [initiatorPlex, listenerPlex] = link.plexes;
+
+    const pings = [];
+    const listenerSubscription = plexPingPong(listenerPlex, false, { channel: '$PINGPONG$', interval: 400 }).subscribe({
+        next: (event) => event.type === 'ping' && pings.push(event),
+        error: () => {}
+    });
+    const initiatorEvents$ = plexPingPong(initiatorPlex, true, { channel: '$PINGPONG$', interval: 400 });
+
+    const error = await new Promise((resolve) => {
+        let partitioned = false;
+        const subscription = initiatorEvents$.subscribe({
+            next: (event) => {
+                if (event.type !== 'pong' || partitioned) return;
+                if (event.rtt >= 100) {
+                    t.pass('Injected latency shows up in the round trip time');
+                    partitioned = true;
+                    link.reset();
+                    link.partition('b->a');
+                    pings.length = 0;
+                } else {
+                    link.set({ latency: 50 });
+                }
+            },
+            error: resolve
+        });
+        t.teardown(() => subscription.unsubscribe());
+    });
+
+    t.is(error.code, 'HEARTBEAT_TIMEOUT', 'Initiator times out when only pongs are lost');
+    t.ok(pings.length > 0, 'Listener kept receiving pings across the one-way partition');
+
+    t.teardown(() => {
+        listenerSubscription.unsubscribe();
+        destroy(initiatorPlex);
+        destroy(listenerPlex);
+    });
+});
+
+test('Structured logger receives bound, leveled entries', async (t) => {
+    const [initiatorPlex, listenerPlex] = createPlexPair();
+    const entries = [];
+    const createLogger = (bindings) => ({
+        child: (childBindings) => createLogger({ ...bindings, ...childBindings }),
+        ...Object.fromEntries(['trace', 'debug', 'info', 'warn', 'error'].map((level) => [
+            level,
+            (fields, msg) => entries.push({ level, ...bindings, ...fields, msg })
+        ]))
+    });
+    const logger = createLogger({ app: 'test' });
+
+    const listenerSubscription = plexPingPong(listenerPlex, false, { channel: '$PINGPONG$', interval: 200, logger, peer: 'initiator-1' }).subscribe({ error: () => {} });
+    await new Promise((resolve, reject) => {
+        const subscription = plexPingPong(initiatorPlex, true, { channel: '$PINGPONG$', interval: 200, logger }).subscribe({
+            next: (event) => event.type === 'pong' && resolve(),
+            error: reject
+        });
+        t.teardown(() => subscription.unsubscribe());
+    });
+
+    const sent = entries.find(({ msg }) => msg === 'Sent ping');
+    t.ok(sent, 'Sent pings are logged');
+    t.is(sent.level, 'debug', 'Per-heartbeat entries are logged at debug');
+    t.is(sent.app, 'test', 'Parent bindings are kept');
+    t.is(sent.channel, '$PINGPONG$', 'Entries are bound to the channel');
+    t.is(sent.role, 'initiator', 'Entries are bound to the role');
+    t.is(typeof sent.seq, 'number', 'Entries carry structured fields');
+
+    const received = entries.find(({ msg, role }) => role === 'listener' && msg.startsWith('Received ping'));
+    t.is(received.peer, 'initiator-1', 'Entries are bound to the peer');
+
+    t.teardown(() => {
+        listenerSubscription.unsubscribe();
+        destroy(initiatorPlex);
+        destroy(listenerPlex);
+    });
+});
+
+test('Metrics collector counts heartbeats and renders Prometheus and OpenMetrics text', async (t) => {
+    const link = createFaultyPlexPair();
+    const [initiatorPlex, listenerPlex] = link.plexes;
+    const metrics = createMetricsCollector();
+
+    const listenerSubscription = plexPingPong(listenerPlex, false, { channel: '$PINGPONG$', interval: 200, metrics }).subscribe({ error: () => {} });
+    const { error, series, text, openMetrics } = await new Promise((resolve) => {
+        let pongs = 0;
+        plexPingPong(initiatorPlex, true, { channel: '$PINGPONG$', interval: 200, metrics, peer: 'listener' }).subscribe({
+            next: (event) => {
+                if (event.type === 'pong' && ++pongs === 2) link.partition('b->a');
+            },
+            // The series is released once the failed instance is torn down
+            error: (error) => resolve({ error, series: metrics.collect(), text: metrics.render(), openMetrics: metrics.render('openmetrics') })
+        });
+    });
+
+    const initiator = series.find(({ labels }) => labels.role === 'initiator');
+    t.alike(initiator.labels, { channel: '$PINGPONG$', peer: 'listener', role: 'initiator' }, 'Series are labelled per instance');
+    t.ok(initiator.pings >= 2, 'Pings sent are counted');
+    t.is(initiator.pongs, 2, 'Pongs received are counted');
+    t.is(initiator.rtt.count, 2, 'RTTs are recorded in the histogram');
+    t.ok(initiator.missed >= 1, 'Missed beats are counted');
+    t.alike(initiator.disconnects, { HEARTBEAT_TIMEOUT: 1 }, 'Disconnects are counted by reason');
+    t.is(error.code, 'HEARTBEAT_TIMEOUT', 'Initiator failed on lost pongs');
+    t.absent(metrics.collect().some(({ labels }) => labels.role === 'initiator'), 'The failed instance left no series behind');
+
+    t.ok(text.includes('# TYPE pingpong_pings_sent_total counter'), 'Prometheus counters keep the _total suffix on the family');
+    t.ok(text.includes(`pingpong_pongs_received_total{channel="$PINGPONG$",peer="listener",role="initiator"} 2`), 'Prometheus samples are labelled');
+    t.ok(text.includes(`pingpong_rtt_seconds_bucket{channel="$PINGPONG$",peer="listener",role="initiator",le="+Inf"} 2`), 'Histogram buckets are rendered');
+
+    t.ok(openMetrics.includes('# TYPE pingpong_pings_sent counter'), 'OpenMetrics counter families drop the suffix');
+    t.ok(openMetrics.endsWith('# EOF\n'), 'OpenMetrics output is terminated');
+
+    t.teardown(() => {
+        listenerSubscription.unsubscribe();
+        destroy(initiatorPlex);
+        destroy(listenerPlex);
+    });
+});
+
+test('Metrics reset in place and series are released with their instances', async (t) => {
+    const metrics = createMetricsCollector();
+    const first = metrics.register({ channel: 'a', role: 'initiator', peer: 'p' });
+    const second = metrics.register({ peer: 'p', role: 'initiator', channel: 'a' });
+
+    first.ping();
+    second.ping();
+    t.is(metrics.collect()[0].pings, 2, 'Recorders with the same labels share a series');
+
+    metrics.reset();
+    first.ping();
+    t.is(metrics.collect()[0].pings, 1, 'Recorders keep counting into a reset series');
+    t.ok(metrics.render().includes('pingpong_pings_sent_total{channel="a",peer="p",role="initiator"} 1'), 'The reset series is still rendered');
+
+    first.release();
+    first.ping();
+    t.is(metrics.collect()[0].pings, 1, 'A released recorder stops recording');
+    second.release();
+    t.is(metrics.collect().length, 0, 'The series is dropped once every recorder is released');
+
+    const [initiatorPlex, listenerPlex] = createPlexPair();
+    const listenerSubscription = plexPingPong(listenerPlex, false, { channel: '$PINGPONG$', interval: 200 }).subscribe({ error: () => {} });
+    const pool = createPingPongPool({ channel: '$PINGPONG$', interval: 200, metrics });
+    pool.add('peer-a', initiatorPlex, { destroyOnFailure: false });
+
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    t.ok(metrics.collect().some(({ labels }) => labels.peer === 'peer-a'), 'A pool member records into its series');
+    pool.remove('peer-a');
+    t.absent(metrics.collect().some(({ labels }) => labels.peer === 'peer-a'), 'Removing the member drops its series');
+
+    t.teardown(() => {
+        pool.close();
+        listenerSubscription.unsubscribe();
+        destroy(initiatorPlex);
+        destroy(listenerPlex);
+    });
+});
+
+test('Failures are typed PingPongErrors and unsubscribing is not a failure', async (t) => {
+    const [listenerPlex, silentPlex] = createPlexPair();
+    const scheduler = new VirtualTimeScheduler();
+    const failures = [];
+
+    const subscription = plexPingPong(listenerPlex, false, {
+        channel: '$PINGPONG$',
+        connectionTimeout: 1000,
+        retryDelay: 1000,
+        reconnectAttemptCount: 2,
+        destroyOnFailure: false,
+        scheduler,
+        onPingPongFailure: (error) => failures.push(error)
+    }).subscribe();
+    scheduler.flush();
+
+    t.is(failures.length, 1, 'One failure was reported');
+    const [failure] = failures;
+    t.ok(failure instanceof PingPongError, 'Failure is a PingPongError');
+    t.is(failure.code, ERROR_CODE.RETRIES_EXHAUSTED, 'Failure says the retries ran out');
+    t.is(failure.attempt, 2, 'Failure carries the attempt count');
+    t.is(failure.cause.code, ERROR_CODE.CONNECT_TIMEOUT, 'Cause is the last connect timeout');
+    subscription.unsubscribe();
+
+    const [unretriedPlex, quietPlex] = createPlexPair();
+    const unretriedFailures = [];
+    const unretriedSubscription = plexPingPong(unretriedPlex, false, {
+        channel: '$PINGPONG$',
+        connectionTimeout: 1000,
+        reconnectAttemptCount: 0,
+        destroyOnFailure: false,
+        scheduler,
+        onPingPongFailure: (error) => unretriedFailures.push(error)
+    }).subscribe();
+    scheduler.flush();
+    t.is(unretriedFailures[0]?.code, ERROR_CODE.CONNECT_TIMEOUT, 'Without retries the connect timeout is reported as it is');
+    unretriedSubscription.unsubscribe();
+
+    const [initiatorPlex, peerPlex] = createPlexPair();
+    const teardownFailures = [];
+    const listenerSubscription = plexPingPong(peerPlex, false, { channel: '$PINGPONG$', interval: 200 }).subscribe({ error: () => {} });
+    const initiatorEvents$ = plexPingPong(initiatorPlex, true, {
+        channel: '$PINGPONG$',
+        interval: 200,
+        byeTimeout: 200,
+        destroyOnFailure: false,
+        onPingPongFailure: (error) => teardownFailures.push(error)
+    });
+    const healthRecords = [];
+    const healthSubscription = initiatorEvents$.health$.subscribe((record) => healthRecords.push(record));
+    const initiatorSubscription = initiatorEvents$.subscribe();
+
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    initiatorSubscription.unsubscribe();
+    // Teardown waits for the goodbye to go out, so give it past byeTimeout to run
+    await new Promise((resolve) => setTimeout(resolve, 500));
+    t.is(healthRecords.at(-1).code, ERROR_CODE.LOCAL_UNSUBSCRIBE, 'Teardown has run');
+    t.is(teardownFailures.length, 0, 'Unsubscribing is not reported to onPingPongFailure');
+
+    t.teardown(() => {
+        healthSubscription.unsubscribe();
+        listenerSubscription.unsubscribe();
+        [listenerPlex, silentPlex, unretriedPlex, quietPlex, initiatorPlex, peerPlex].forEach((plex) => destroy(plex));
+    });
+});
+
+test('Unsubscribing says goodbye and the peer completes cleanly', async (t) => {
+    const [initiatorPlex, listenerPlex] = createPlexPair();
+
+    const listenerEvents$ = plexPingPong(listenerPlex, false, { channel: '$PINGPONG$', interval: 200 });
+    const records = [];
+    const healthSubscription = listenerEvents$.health$.subscribe((record) => records.push(record));
+
+    let initiatorSubscription;
+    const outcome = await new Promise((resolve) => {
+        let bye;
+        listenerEvents$.subscribe({
+            next: (event) => {
+                if (event.type === 'ping' && !initiatorSubscription.closed) initiatorSubscription.unsubscribe();
+                if (event.type === 'bye') bye = event;
+            },
+            error: (error) => resolve({ error }),
+            complete: () => resolve({ bye })
+        });
+        initiatorSubscription = plexPingPong(initiatorPlex, true, { channel: '$PINGPONG$', interval: 200, byeReason: 'deploy' }).subscribe();
+    });
+
+    t.absent(outcome.error, 'Listener did not error');
+    t.is(outcome.bye?.reason, 'deploy', 'Listener received the goodbye reason');
+    const dead = records[records.length - 1];
+    t.is(dead.state, 'dead', 'Listener ends dead');
+    t.is(dead.code, ERROR_CODE.PEER_BYE, 'Dead record says the peer left');
+
+    t.teardown(() => {
+        healthSubscription.unsubscribe();
+        destroy(initiatorPlex);
+        destroy(listenerPlex);
+    });
+});
+
+test('pause() relaxes the peer watchdog and resume() restarts heartbeats', async (t) => {
+    const [initiatorPlex, listenerPlex] = createPlexPair();
+
+    const listenerEvents = [];
+    const listenerSubscription = plexPingPong(listenerPlex, false, { channel: '$PINGPONG$', interval: 200, pauseTimeout: 2000 }).subscribe({
+        next: (event) => listenerEvents.push(event),
+        error: (error) => t.fail(`Listener failed while the initiator was paused: ${error.code}`)
+    });
+
+    const initiatorEvents$ = plexPingPong(initiatorPlex, true, { channel: '$PINGPONG$', interval: 200 });
+    let pings = 0;
+    const initiatorSubscription = initiatorEvents$.subscribe({
+        next: (event) => event.type === 'ping' && pings++,
+        error: (error) => t.fail(`Initiator failed: ${error.code}`)
+    });
+
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    initiatorEvents$.pause();
+    const pingsWhenPaused = pings;
+
+    // Several normal heartbeat windows pass without a ping
+    await new Promise((resolve) => setTimeout(resolve, 700));
+    t.is(pings, pingsWhenPaused, 'No pings are sent while paused');
+    t.ok(listenerEvents.some(({ type, by }) => type === 'paused' && by === 'peer'), 'Listener learned that the initiator paused');
+    t.absent(listenerEvents.some(({ type }) => type === 'missed'), 'Listener did not count missed pings while the peer was paused');
+
+    initiatorEvents$.resume();
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    t.ok(pings > pingsWhenPaused, 'Pings resume');
+    t.ok(listenerEvents.some(({ type, by }) => type === 'resumed' && by === 'peer'), 'Listener learned that the initiator resumed');
+
+    t.teardown(() => {
+        initiatorSubscription.unsubscribe();
+        listenerSubscription.unsubscribe();
+        destroy(initiatorPlex);
+        destroy(listenerPlex);
+    });
+});
+
+test('A clock jump is treated as a resume rather than a missed heartbeat', async (t) => {
+    const [listenerPlex, silentPlex] = createPlexPair();
+    let offset = 0;
+    const jumpyScheduler = { now: () => Date.now() + offset, schedule: (...args) => asyncScheduler.schedule(...args) };
+
+    // The other side opens the channel but never pings
+    const silentSubscription = connect$(silentPlex, '$PINGPONG$', withEncoding('json')).subscribe();
+
+    const events = [];
+    const error = await new Promise((resolve) => {
+        plexPingPong(listenerPlex, false, { channel: '$PINGPONG$', interval: 200, scheduler: jumpyScheduler, destroyOnFailure: false }).subscribe({
+            next: (event) => events.push(event),
+            error: resolve
+        });
+        setTimeout(() => { offset += 5000; }, 100);
+    });
+
+    t.is(events[0].type, 'resumed', 'The late tick is reported as a resume');
+    t.is(events[0].by, 'clock-jump', 'The resume is attributed to the clock jump');
+    t.ok(events[0].gap >= 4000, 'The gap is reported');
+    t.is(events[1].type, 'missed', 'Only the next window counts as missed');
+    t.is(error.code, 'INITIATOR_SILENT', 'A silent initiator is still detected afterwards');
+
+    t.teardown(() => {
+        silentSubscription.unsubscribe();
+        destroy(listenerPlex);
+        destroy(silentPlex);
+    });
+});
+
+test('createPingPong probes, retunes, reports stats and closes on demand', async (t) => {
+    const [initiatorPlex, listenerPlex] = createPlexPair();
+
+    const listener = createPingPong(listenerPlex, { role: 'listener', channel: '$PINGPONG$', interval: 500 });
+    const listenerEvents = [];
+    listener.events$.subscribe({ next: (event) => listenerEvents.push(event) });
+
+    const initiator = createPingPong(initiatorPlex, { channel: '$PINGPONG$', interval: 500 });
+    const notRunning = await initiator.probe().catch((error) => error);
+    t.is(notRunning.code, ERROR_CODE.NOT_CONNECTED, 'Probing before subscribing is rejected');
+
+    const completed = new Promise((resolve) => initiator.events$.subscribe({ complete: resolve, error: (error) => t.fail(error.message) }));
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    const rtt = await initiator.probe();
+    t.ok(typeof rtt === 'number' && rtt >= 0, `probe() resolves with the round trip time (${rtt}ms)`);
+    const listenerProbe = await listener.probe().catch((error) => error);
+    t.ok(listenerProbe instanceof PingPongError, 'A listener probe is rejected with a PingPongError');
+    t.is(listenerProbe.code, ERROR_CODE.NOT_PINGING, 'A listener outside symmetric mode cannot probe');
+
+    initiator.setInterval(1000);
+    listener.setInterval(1000);
+    const stats = initiator.getStats();
+    t.is(stats.state, 'healthy', 'getStats() reports the health state');
+    t.is(stats.interval, 1000, 'getStats() reports the new interval');
+    t.ok(stats.rtt.count >= 1, 'getStats() includes the rolling RTT statistics');
+    t.exception(() => initiator.setInterval(0), 'A non-positive interval is rejected');
+
+    await initiator.close('maintenance');
+    await completed;
+    t.pass('close() completes events$');
+    t.ok(listenerEvents.some(({ type, reason }) => type === 'bye' && reason === 'maintenance'), 'The peer is told the close reason');
+
+    t.teardown(() => {
+        destroy(initiatorPlex);
+        destroy(listenerPlex);
+    });
+});
+
+test('getStats() reports the controller health once the connection has failed', async (t) => {
+    const [initiatorPlex, listenerPlex] = createPlexPair();
+
+    // The listener opens the channel but never answers
+    const mutedSubscription = listenAndConnection$(listenerPlex, '$PINGPONG$', withEncoding('json')).subscribe();
+
+    const pingPong = createPingPong(initiatorPlex, { channel: '$PINGPONG$', interval: 200 });
+    const error = await new Promise((resolve) => pingPong.events$.subscribe({ error: resolve }));
+
+    const stats = pingPong.getStats();
+    t.is(error.code, ERROR_CODE.HEARTBEAT_TIMEOUT, 'The connection failed');
+    t.is(stats.state, 'dead', 'getStats() reports the dead state');
+    t.is(stats.interval, 200, 'getStats() still reports the interval');
+    t.absent(stats.wire || stats.rtt || stats.plex, 'The failed session is no longer reported as live');
+
+    t.teardown(() => {
+        mutedSubscription.unsubscribe();
+        destroy(initiatorPlex);
+        destroy(listenerPlex);
+    });
+});
+
+test('Symmetric mode gives the listener its own RTT and failure detection', async (t) => {
+    const link = createFaultyPlexPair();
+    const [initiatorPlex, listenerPlex] = link.plexes;
+
+    const initiatorEvents = [];
+    const initiatorSubscription = plexPingPong(initiatorPlex, true, { channel: '$PINGPONG$', interval: 300, mode: 'symmetric', destroyOnFailure: false }).subscribe({
+        next: (event) => initiatorEvents.push(event),
+        error: () => {}
+    });
+
+    const listenerEvents = [];
+    const listenerError = new Promise((resolve) => {
+        plexPingPong(listenerPlex, false, { channel: '$PINGPONG$', interval: 300, mode: 'symmetric', destroyOnFailure: false }).subscribe({
+            next: (event) => listenerEvents.push(event),
+            error: resolve
+        });
+    });
+
+    await new Promise((resolve) => setTimeout(resolve, 700));
+    t.ok(listenerEvents.some(({ type, rtt }) => type === 'pong' && typeof rtt === 'number'), 'The listener measures its own RTT');
+    t.ok(initiatorEvents.some(({ type, received }) => type === 'ping' && received), 'The initiator answers the listener\'s pings');
+    t.ok(initiatorEvents.some(({ type, rtt }) => type === 'pong' && typeof rtt === 'number'), 'The initiator still measures its RTT');
+
+    // The listener's pings still reach the initiator, but nothing comes back
+    link.partition('a->b');
+    const error = await listenerError;
+    t.is(error.code, ERROR_CODE.HEARTBEAT_TIMEOUT, 'The listener notices the one-way partition on its own');
+
+    t.teardown(() => {
+        initiatorSubscription.unsubscribe();
+        destroy(initiatorPlex);
+        destroy(listenerPlex);
+    });
+});
+
+test('monitorPaths prefers the faster path, fails over and only reports the peer down when every path fails', async (t) => {
+    const slow = createFaultyPlexPair({ latency: 100 });
+    const fast = createFaultyPlexPair();
+    const listenerSubscriptions = [slow, fast].map(({ plexes }) =>
+        plexPingPong(plexes[1], false, { channel: '$PINGPONG$', interval: 300 }).subscribe({ error: () => {} })
+    );
+
+    const paths = monitorPaths([slow.plexes[0], fast.plexes[0]], { channel: '$PINGPONG$', interval: 300, switchAfter: 2 });
+    const preferred = [];
+    const healthStates = [];
+    const events = [];
+    paths.preferred$.subscribe((choice) => preferred.push(choice));
+    paths.health$.subscribe(({ state }) => healthStates.push(state));
+    const down = new Promise((resolve) => paths.events$.subscribe({ next: (event) => events.push(event), complete: resolve }));
+
+    await new Promise((resolve) => setTimeout(resolve, 1500));
+    t.is(preferred.at(-1).path, 1, 'The faster path is preferred');
+    t.ok(preferred.at(-1).rtt < 100, 'The preferred path reports its smoothed RTT');
+
+    fast.blackhole();
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+    t.is(preferred.at(-1).path, 0, 'Routing fails over to the remaining path');
+    t.is(preferred.at(-1).reason, 'failover', 'The switch is reported as a failover');
+    t.ok(events.some(({ path, type }) => path === 1 && type === 'closed'), 'The failed path is reported closed');
+    t.not(healthStates.at(-1), 'dead', 'The peer is not down while one path is alive');
+
+    slow.blackhole();
+    await down;
+    t.is(events.at(-1).type, 'down', 'The peer is reported down once every path failed');
+    t.is(healthStates.at(-1), 'dead', 'The peer health is dead');
+    t.is(preferred.at(-1), null, 'No path is preferred');
+
+    t.teardown(() => {
+        listenerSubscriptions.forEach((subscription) => subscription.unsubscribe());
+        [...slow.plexes, ...fast.plexes].forEach((plex) => destroy(plex));
+    });
+});
+
+test('monitorPaths counts loss per heartbeat window', async (t) => {
+    const [initiatorPlex, listenerPlex] = createPlexPair();
+
+    // Negotiates JSON but only answers pings whose seq ends in 2 or 3 modulo 4
+    const listenerSubscription = listenAndConnection$(listenerPlex, '$PINGPONG$', withEncoding('json')).subscribe((stream) => {
+        stream.on('data', (data) => {
+            if (data?.type === 'hello') stream.write({ type: 'hello', version: 1, wire: 'json' });
+            if (data?.type === 'ping' && data.seq % 4 >= 2) stream.write({ type: 'pong', seq: data.seq, ts: data.ts });
+        });
+    });
+
+    const pingTick$ = new Subject();
+    const paths = monitorPaths([initiatorPlex], { channel: '$PINGPONG$', interval: 300, missedPongThreshold: 100, lossWindow: 8, pingTick$ });
+    let ranking = [];
+    paths.paths$.subscribe((latest) => { ranking = latest; });
+    await new Promise((resolve) => setTimeout(resolve, 300));
+
+    // Two ticks make a window. Ping 1 goes out on tick 0; the windows closing on ticks 3, 5, 7, ... hold
+    // pings 2 and 3, 4 and 5, 6 and 7, ..., so every other window is answered twice and the rest not at all.
+    for (let tick = 0; tick < 18; tick++) {
+        pingTick$.next(tick);
+        await new Promise((resolve) => setTimeout(resolve, 30));
+    }
+
+    t.is(ranking[0].loss, 0.5, 'Half of the windows were lost, however many pongs the others held');
+
+    t.teardown(() => {
+        paths.close();
+        listenerSubscription.unsubscribe();
+        destroy(initiatorPlex);
+        destroy(listenerPlex);
+    });
+});
+
+test('A pong that arrives after the heartbeat window marks the peer slow, not dead', async (t) => {
+    const link = createFaultyPlexPair();
+    const [initiatorPlex, listenerPlex] = link.plexes;
+
+    const listenerSubscription = plexPingPong(listenerPlex, false, { channel: '$PINGPONG$', interval: 400, missedPongThreshold: 4 }).subscribe({ error: () => {} });
+
+    const initiatorEvents$ = plexPingPong(initiatorPlex, true, { channel: '$PINGPONG$', interval: 400, missedPongThreshold: 4 });
+    const events = [];
+    const healthStates = [];
+    initiatorEvents$.health$.subscribe(({ state }) => healthStates.push(state));
+    const initiatorSubscription = initiatorEvents$.subscribe({
+        next: (event) => events.push(event),
+        error: (error) => t.fail(`A slow peer was declared dead: ${error.code}`)
+    });
+
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    // Pongs now take longer than the heartbeat window to come back
+    link.set({ latency: 700 }, 'b->a');
+    await new Promise((resolve) => setTimeout(resolve, 1500));
+
+    const late = events.find(({ type, late }) => type === 'pong' && late);
+    t.ok(late, 'A pong slower than the window is marked late');
+    t.ok(late.rtt > 400, `The late pong reports its RTT (${late?.rtt}ms)`);
+    t.ok(healthStates.includes('slow'), 'The peer is reported slow');
+    t.absent(healthStates.includes('dead'), 'The peer is not reported dead');
+
+    t.teardown(() => {
+        initiatorSubscription.unsubscribe();
+        listenerSubscription.unsubscribe();
+        destroy(initiatorPlex);
+        destroy(listenerPlex);
+    });
+});
+
+test('With the default missedPongThreshold a pong later than the window is fatal', async (t) => {
+    const link = createFaultyPlexPair();
+    const [initiatorPlex, listenerPlex] = link.plexes;
+
+    const listenerSubscription = plexPingPong(listenerPlex, false, { channel: '$PINGPONG$', interval: 400 }).subscribe({ error: () => {} });
+
+    const events = [];
+    const error = await new Promise((resolve) => {
+        const subscription = plexPingPong(initiatorPlex, true, { channel: '$PINGPONG$', interval: 400 }).subscribe({
+            next: (event) => events.push(event),
+            error: resolve
+        });
+        t.teardown(() => subscription.unsubscribe());
+        // Pongs now take longer than the heartbeat window to come back
+        setTimeout(() => link.set({ latency: 700 }, 'b->a'), 300);
+    });
+
+    t.is(error.code, ERROR_CODE.HEARTBEAT_TIMEOUT, 'The first window without a pong is fatal');
+    t.absent(events.some(({ type, late }) => type === 'pong' && late), 'No pong got the chance to arrive late');
+
+    t.teardown(() => {
+        listenerSubscription.unsubscribe();
+        destroy(initiatorPlex);
+        destroy(listenerPlex);
+    });
+});
+
+test('awaitPeer waits for a late initiator and starts the timers after the handshake', async (t) => {
+    const [initiatorPlex, listenerPlex] = createPlexPair();
+
+    const listenerEvents$ = plexPingPong(listenerPlex, false, {
+        channel: '$PINGPONG$',
+        interval: 500,
+        connectionTimeout: 300,
+        retryDelay: 100,
+        reconnectAttemptCount: 1,
+        awaitPeer: true
+    });
+    const healthStates = [];
+    const events = [];
+    listenerEvents$.health$.subscribe(({ state }) => healthStates.push(state));
+    const listenerSubscription = listenerEvents$.subscribe({
+        next: (event) => events.push(event),
+        error: (error) => t.fail(`The listener gave up waiting: ${error.code}`)
+    });
+
+    // Far longer than connectionTimeout and its retries would allow
+    await new Promise((resolve) => setTimeout(resolve, 1500));
+    t.is(healthStates.at(-1), 'waitingForPeer', 'The listener reports that it is waiting for the peer');
+    t.absent(events.some(({ type }) => type === 'missed'), 'No heartbeat is missed while waiting');
+
+    const initiatorSubscription = plexPingPong(initiatorPlex, true, { channel: '$PINGPONG$', interval: 500 }).subscribe();
+    await new Promise((resolve) => setTimeout(resolve, 600));
+
+    const joined = events.find(({ type }) => type === 'peerJoined');
+    t.ok(joined, 'The late peer joins');
+    t.is(joined.wire, 'binary', 'The handshake negotiated the wire format');
+    t.ok(events.indexOf(joined) < events.findIndex(({ type }) => type === 'ping'), 'Heartbeats follow the handshake');
+    t.is(healthStates.at(-1), 'healthy', 'The connection is healthy');
+
+    t.teardown(() => {
+        initiatorSubscription.unsubscribe();
+        listenerSubscription.unsubscribe();
+        destroy(initiatorPlex);
+        destroy(listenerPlex);
+    });
+});
+
+test('The heartbeat history survives a failure and replays to explain it', async (t) => {
+    const link = createFaultyPlexPair();
+    const [initiatorPlex, listenerPlex] = link.plexes;
+
+    const listenerSubscription = plexPingPong(listenerPlex, false, { channel: '$PINGPONG$', interval: 300 }).subscribe({ error: () => {} });
+    const initiatorEvents$ = plexPingPong(initiatorPlex, true, { channel: '$PINGPONG$', interval: 300, missedPongThreshold: 2, history: 50 });
+
+    const error = await new Promise((resolve) => {
+        initiatorEvents$.subscribe({ error: resolve });
+        setTimeout(() => link.partition('b->a'), 500);
+    });
+
+    const entries = initiatorEvents$.history.entries();
+    const types = entries.map(({ type }) => type);
+    t.is(types[0], 'connected', 'The history starts when the timers start');
+    t.ok(types.includes('ping') && types.includes('pong'), 'Pings and pongs are recorded');
+    t.ok(entries.some(({ type, rtt }) => type === 'pong' && typeof rtt === 'number'), 'Pongs are recorded with their RTT');
+    t.is(types.filter((type) => type === 'missed').length, 2, 'Both missed windows are recorded');
+    t.alike(entries.at(-1), { at: entries.at(-1).at, type: 'disconnect', code: error.code, message: error.message }, 'The disconnect reason is recorded');
+
+    const ndjson = initiatorEvents$.history.toNDJSON();
+    t.is(ndjson.trim().split('\n').length, entries.length, 'NDJSON holds one line per entry');
+    t.alike(parseHeartbeatHistory(ndjson), entries, 'NDJSON parses back into the entries');
+
+    const replay = replayHeartbeatHistory(ndjson);
+    t.ok(replay.dead, 'The replay declares the link dead');
+    t.is(replay.missed, 2, 'After the same number of missed windows');
+    t.ok(replay.explanation.startsWith('No pong in 2 consecutive 300ms heartbeat windows'), replay.explanation);
+    t.absent(replayHeartbeatHistory(ndjson, { missedPongThreshold: 10 }).dead, 'A higher threshold would have kept the link');
+
+    t.teardown(() => {
+        listenerSubscription.unsubscribe();
+        destroy(initiatorPlex);
+        destroy(listenerPlex);
+    });
+});
+
+test('A wrapped heartbeat history keeps its settings and still replays', async (t) => {
+    const link = createFaultyPlexPair();
+    const [initiatorPlex, listenerPlex] = link.plexes;
+
+    const listenerSubscription = plexPingPong(listenerPlex, false, { channel: '$PINGPONG$', interval: 200, missedPongThreshold: 3 }).subscribe({ error: () => {} });
+    const initiatorEvents$ = plexPingPong(initiatorPlex, true, { channel: '$PINGPONG$', interval: 200, missedPongThreshold: 3, history: 16 });
+
+    await new Promise((resolve) => {
+        initiatorEvents$.subscribe({ error: resolve });
+        setTimeout(() => link.partition('b->a'), 1000);
+    });
+
+    const entries = initiatorEvents$.history.entries();
+    t.is(entries.length, 16 + entries.filter(({ restored }) => restored).length, 'Only the settings entries are kept beyond the ring');
+    t.alike(entries.slice(0, 2).map(({ type, restored }) => [type, restored]), [['connected', true], ['negotiated', true]], 'The evicted settings are listed first');
+
+    const replay = replayHeartbeatHistory(initiatorEvents$.history.toNDJSON());
+    t.ok(replay.dead, 'The replay declares the link dead');
+    t.is(replay.missed, 3, 'After the recorded threshold of missed windows');
+    t.ok(replay.explanation.startsWith('No pong in 3 consecutive 200ms heartbeat windows'), replay.explanation);
+
+    t.teardown(() => {
+        listenerSubscription.unsubscribe();
+        destroy(initiatorPlex);
+        destroy(listenerPlex);
+    });
+});
+
+test('Replay stretches the window for peer pauses and follows the negotiated expectation', (t) => {
+    const connected = { at: 0, type: 'connected', role: 'initiator', expected: 'pong', interval: 100, pauseTimeout: 1000, missedPongThreshold: 2, degradedAfter: 1, wire: 'json' };
+
+    const peerPause = replayHeartbeatHistory([
+        connected,
+        { at: 50, type: 'pong', seq: 1, rtt: 5 },
+        { at: 60, type: 'paused', by: 'peer' },
+        { at: 2500, type: 'ping', seq: 2 }
+    ]);
+    t.ok(peerPause.dead, 'A peer that stays silent through its pause is declared dead');
+    t.is(peerPause.deadAt, 2060, 'After missedPongThreshold pauseTimeout windows, not heartbeat windows');
+
+    const localPause = replayHeartbeatHistory([
+        connected,
+        { at: 60, type: 'paused', by: 'local' },
+        { at: 5000, type: 'resumed', by: 'local' },
+        { at: 5050, type: 'pong', seq: 2, rtt: 5 }
+    ]);
+    t.absent(localPause.dead, 'A local pause disarms the watchdog');
+
+    const symmetricListener = replayHeartbeatHistory([
+        { ...connected, role: 'listener', expected: 'ping', wire: 'legacy' },
+        { at: 10, type: 'negotiated', wire: 'json', expected: 'pong' },
+        { at: 50, type: 'ping', seq: 1, received: true },
+        { at: 150, type: 'ping', seq: 2, received: true },
+        { at: 250, type: 'ping', seq: 3, received: true }
+    ]);
+    t.ok(symmetricListener.dead, 'Once negotiated, a symmetric listener is not kept alive by pings');
+    t.is(symmetricListener.deadAt, 200);
+});